@@ -1,32 +1,582 @@
+import { NOISE_COLORS, createNoise, seededRandom } from './noise.js';
+import { TEXTURES } from './textures.js';
+import { qrSvg } from './qr.js';
+import { saveLoop, loopBytes, listLoops, packLoops, unpackLoop } from './loops.js';
+
 const $ = (sel, root=document) => root.querySelector(sel);
 const $$ = (sel, root=document) => [...root.querySelectorAll(sel)];
 
 const STORAGE_KEY = 'hushboard:v1';
+const LOG_KEY = 'hushboard:log:v1';
+const TIMER_KEY = 'hushboard:timer:v1';
+const LOG_LIMIT = 5000;
+
+// -------------------- Channel registry --------------------
+// Every channel type declares its parameters and how to build / drive it in
+// the Engine. Defaults, the Mixer UI and audio sync are generated from here.
+// `create` gets the instance's values so sources start out right.
+// `vol` is handled by the engine for every type; `set` covers the rest.
+// Params with `options` are pickers rather than sliders.
+// `mod` lists the extra parameters that can be modulated, as
+// [AudioParam, units per unit of depth] pairs on the channel's nodes.
+// `text` lists saved strings (with max lengths) that have no slider, `card`
+// adds markup to the layer card, and `fromFile` types are built from user
+// files so they are left out of the default mix.
+// Links store fields by position, so params added to a type that links
+// already carry are marked `added`; they are stored after `mod`, where
+// older links simply end and the defaults apply.
+const NOISE_SETTERS = {
+  tone: (eng, id, v) => eng.setChannelTone(id, v),
+  color: (eng, id, v) => eng.setNoiseColor(id, v),
+};
 
-const DEFAULTS = {
-  version: 1,
-  master: 0.6,
-  channels: {
-    rain:   { on: true,  vol: 0.35, tone: 0.55 },
-    brown:  { on: false, vol: 0.25, tone: 0.45 },
-    binaural:{ on: false, vol: 0.18, beat: 6 },
-    cafe:   { on: false, vol: 0.25, tone: 0.35 },
-    chime:  { on: false, vol: 0.12, rate: 0.35 },
+const BEAT_MODES = {
+  binaural: 'Binaural',
+  monaural: 'Monaural',
+  isochronic: 'Isochronic',
+};
+
+// `timer`: glide from Beat Hz to Ramp to Hz across the running timer phase
+// (or the length of a WAV export).
+const BEAT_RAMPS = {
+  off: 'Steady',
+  timer: 'Over timer',
+};
+
+const CHANNEL_TYPES = {
+  rain: {
+    name: 'Rain',
+    desc: 'Droplets pattering over a soft wash.',
+    on: true,
+    params: {
+      vol:  { label: 'Vol',  min: 0, max: 1, step: 0.01, default: 0.35 },
+      tone: { label: 'Tone', min: 0, max: 1, step: 0.01, default: 0.55 },
+      color: { label: 'Colour', options: NOISE_COLORS, default: 'white' },
+      density: { label: 'Density', min: 0, max: 1, step: 0.01, default: 0.5, added: true },
+      intensity: { label: 'Intensity', min: 0, max: 1, step: 0.01, default: 0.5, added: true },
+    },
+    create: (eng, id, ch) => eng.ensureRain(id, ch),
+    set: {
+      ...NOISE_SETTERS,
+      ...Object.fromEntries(['density', 'intensity'].map(k => [k, (eng, id, v) => eng.setRain(id, { [k]: v })])),
+    },
+    mod: { tone: (n) => [[n.hp.detune, 1200], [n.lp.detune, 1200]] },
+  },
+  brown: {
+    name: 'Brown Noise',
+    desc: 'Low rumble that masks HVAC/traffic.',
+    on: false,
+    params: {
+      vol:  { label: 'Vol',  min: 0, max: 1, step: 0.01, default: 0.25 },
+      tone: { label: 'Tone', min: 0, max: 1, step: 0.01, default: 0.45 },
+      color: { label: 'Colour', options: NOISE_COLORS, default: 'brown' },
+    },
+    create: (eng, id, ch) => eng.ensureNoiseChannel(id, { hp: 20, lp: 900, q: 0.7, color: ch.color || 'brown' }),
+    set: NOISE_SETTERS,
+    mod: { tone: (n) => [[n.hp.detune, 1200], [n.lp.detune, 1200]] },
   },
-  timer: {
-    minutes: 25,
-    fadeSeconds: 10,
-    endBehavior: 'fade',
+  binaural: {
+    name: 'Beat Tones',
+    desc: 'Binaural (headphones), monaural or isochronic beats.',
+    on: false,
+    params: {
+      vol:  { label: 'Vol',    min: 0, max: 1,  step: 0.01, default: 0.18 },
+      beat: { label: 'Beat Hz', min: 1, max: 40, step: 0.5,  default: 6 },
+      mode: { label: 'Mode', options: BEAT_MODES, default: 'binaural', added: true },
+      carrier: { label: 'Carrier Hz', min: 60, max: 1000, step: 1, default: 220, added: true },
+      width: { label: 'Width', min: 0, max: 1, step: 0.01, default: 0.85, added: true },
+      ramp: { label: 'Ramp', options: BEAT_RAMPS, default: 'off', added: true },
+      rampTo: { label: 'Ramp to Hz', min: 1, max: 40, step: 0.5, default: 6, added: true },
+    },
+    create: (eng, id) => eng.ensureBinaural(id),
+    set: Object.fromEntries(['beat', 'mode', 'carrier', 'width', 'ramp', 'rampTo']
+      .map(k => [k, (eng, id, v) => eng.setBeat(id, { [k]: v })])),
+    mod: { beat: (n) => [[n.beat.offset, 4]] },
+  },
+  cafe: {
+    name: 'Cafe Murmur',
+    desc: 'Distant chatter and the odd cup clink for “public focus”.',
+    on: false,
+    params: {
+      vol:  { label: 'Vol',  min: 0, max: 1, step: 0.01, default: 0.25 },
+      tone: { label: 'Tone', min: 0, max: 1, step: 0.01, default: 0.35 },
+      color: { label: 'Colour', options: NOISE_COLORS, default: 'pink' },
+      chatter: { label: 'Chatter', min: 0, max: 1, step: 0.01, default: 0.5, added: true },
+      clinks: { label: 'Clinks', min: 0, max: 1, step: 0.01, default: 0.3, added: true },
+    },
+    create: (eng, id, ch) => eng.ensureCafe(id, ch),
+    set: {
+      ...NOISE_SETTERS,
+      ...Object.fromEntries(['chatter', 'clinks'].map(k => [k, (eng, id, v) => eng.setCafe(id, { [k]: v })])),
+    },
+    mod: { tone: (n) => [[n.hp.detune, 1200], [n.lp.detune, 1200]] },
+  },
+  chime: {
+    name: 'Soft Chime',
+    desc: 'Occasional micro-bell to reset attention.',
+    on: false,
+    params: {
+      vol:  { label: 'Vol',  min: 0, max: 1, step: 0.01, default: 0.12 },
+      rate: { label: 'Rate', min: 0, max: 1, step: 0.01, default: 0.35 },
+    },
+    create: (eng, id) => eng.ensureChime(id),
+    set: { rate: (eng, id, v, opts) => eng.setChimeRate(id, v, opts) },
+  },
+  loop: {
+    name: 'Audio Loop',
+    desc: 'Your own recording, looped.',
+    on: true,
+    fromFile: true,
+    params: {
+      vol:   { label: 'Vol',   min: 0,    max: 1,    step: 0.01, default: 0.4 },
+      tone:  { label: 'Tone',  min: 0,    max: 1,    step: 0.01, default: 1 },
+      start: { label: 'Start', min: 0,    max: 0.99, step: 0.01, default: 0 },
+      end:   { label: 'End',   min: 0.01, max: 1,    step: 0.01, default: 1 },
+    },
+    // Scenes and links carry the content hash; the audio stays in IndexedDB.
+    text: { sound: 64, soundName: 40 },
+    create: (eng, id) => eng.ensureLoop(id),
+    set: {
+      tone: (eng, id, v) => eng.setChannelTone(id, v),
+      start: (eng, id, v) => eng.setLoopRegion(id, { start: v }),
+      end: (eng, id, v) => eng.setLoopRegion(id, { end: v }),
+      sound: (eng, id, v) => eng.setLoopSound(id, v),
+    },
+    mod: { tone: (n) => [[n.hp.detune, 1200], [n.lp.detune, 1200]] },
+    card: (ch) => loopPicker(ch),
+  },
+};
+
+function channelDefaults(type, id=type){
+  return { id, type, ...schemaDefaults(channelSchema(type)) };
+}
+
+// Parameters of a channel type that accept slow modulation.
+function modKeys(type){
+  return ['vol', ...Object.keys(CHANNEL_TYPES[type].mod || {})];
+}
+
+const MORPH_CURVES = {
+  linear: p => p,
+  ease: p => p * p * (3 - 2 * p),
+  out: p => 1 - (1 - p) ** 3,
+};
+
+const PHASE_LABELS = {
+  session: 'Session',
+  focus: 'Focus',
+  short: 'Short break',
+  long: 'Long break',
+};
+
+// -------------------- Schema --------------------
+// Everything that comes from storage, a link or an import goes through
+// these validators: values are clamped, missing ones filled from defaults,
+// anything unusable is reported in `errors` rather than thrown.
+const S = {
+  num: (min, max, def, { int=false } = {}) => ({ type: 'num', min, max, def, int }),
+  bool: (def) => ({ type: 'bool', def }),
+  str: (max, def='') => ({ type: 'str', max, def }),
+  enum: (values, def) => ({ type: 'enum', values, def }),
+  obj: (fields) => ({ type: 'obj', fields }),
+};
+
+const TIMER_SCHEMA = S.obj({
+  minutes: S.num(1, 240, 25, { int: true }),
+  fadeSeconds: S.num(0, 120, 10),
+  endBehavior: S.enum(['fade', 'pause', 'keep'], 'fade'),
+});
+
+// Master chain, saved with the mix: EQ gains and ceiling in dB.
+const BUS_SCHEMA = S.obj({
+  low: S.num(-12, 12, 0),
+  mid: S.num(-12, 12, 0),
+  high: S.num(-12, 12, 0),
+  limiter: S.bool(true),
+  ceiling: S.num(-24, 0, -1),
+});
+
+// `seed` comes last so older links, which end before it, still read.
+const MIX_SCHEMA = S.obj({
+  master: S.num(0, 1, 0.6),
+  timer: TIMER_SCHEMA,
+  bus: BUS_SCHEMA,
+  seed: S.num(0, 0xffff, 0, { int: true }),
+});
+
+const SCENE_SCHEMA = S.obj({
+  name: S.str(60, 'Untitled scene'),
+  createdAt: S.num(0, 8.64e15, 0),
+  updatedAt: S.num(0, 8.64e15, 0),
+  pinned: S.bool(false),
+});
+
+const MAX_SCENES = 50;
+const MAX_SCENE_TAGS = 8;
+
+const SCENE_SORTS = {
+  newest: 'Newest',
+  oldest: 'Oldest',
+  updated: 'Recently updated',
+  name: 'Name',
+};
+
+const PLAYLIST_SCHEMA = S.obj({
+  name: S.str(60, 'Playlist'),
+  shuffle: S.bool(false),
+  loop: S.bool(true),
+});
+
+const PLAYLIST_STEP_SCHEMA = S.obj({
+  sceneId: S.str(64),
+  minutes: S.num(1, 240, 20, { int: true }),
+});
+
+// Times are minutes since midnight; a slot with end < start runs past midnight.
+const SCHEDULE_SLOT_SCHEMA = S.obj({
+  start: S.num(0, 1439, 540, { int: true }),
+  end: S.num(0, 1439, 720, { int: true }),
+  sceneId: S.str(64),
+});
+
+const MAX_PLAYLISTS = 50;
+const MAX_PLAYLIST_STEPS = 50;
+const MAX_SCHEDULE_SLOTS = 24;
+
+const CYCLE_SCHEMA = S.obj({
+  enabled: S.bool(false),
+  rounds: S.num(1, 12, 4, { int: true }),
+  shortMinutes: S.num(1, 60, 5, { int: true }),
+  longMinutes: S.num(0, 90, 15, { int: true }),
+  transitionSeconds: S.num(0, 30, 4, { int: true }),
+  focusScene: S.str(64),
+  shortScene: S.str(64),
+  longScene: S.str(64),
+});
+
+const MORPH_SCHEMA = S.obj({
+  seconds: S.num(0, 30, 3),
+  curve: S.enum(Object.keys(MORPH_CURVES), 'ease'),
+});
+
+const ALERTS_SCHEMA = S.obj({
+  notify: S.bool(false),
+  warnMinutes: S.num(0, 30, 2, { int: true }),
+  cues: S.bool(true),
+  cueVolume: S.num(0, 1, 0.5),
+  listenMinutes: S.num(0, 480, 0, { int: true }),
+});
+
+const LOG_ENTRY_SCHEMA = S.obj({
+  startedAt: S.num(0, 8.64e15, 0),
+  plannedMs: S.num(0, 1e9, 0),
+  actualMs: S.num(0, 1e9, 0),
+  outcome: S.enum(['finished', 'stopped', 'skipped'], 'finished'),
+  phase: S.enum(Object.keys(PHASE_LABELS), 'session'),
+  scene: S.str(60),
+  channels: S.str(200),
+});
+
+// A running timer as saved under TIMER_KEY, restored after a reload.
+const PHASE_SCHEMA = S.obj({
+  kind: S.enum(Object.keys(PHASE_LABELS), 'session'),
+  round: S.num(1, 12, 1, { int: true }),
+  minutes: S.num(1, 240, 25),
+  sceneId: S.str(64),
+});
+
+const RUNNING_TIMER_SCHEMA = S.obj({
+  endAt: S.num(0, 8.64e15, 0),
+  total: S.num(0, 1e9, 0),
+  phaseIndex: S.num(0, 24, 0, { int: true }),
+  phaseStartedAt: S.num(0, 8.64e15, 0),
+  endBehavior: TIMER_SCHEMA.fields.endBehavior,
+  fadeSeconds: TIMER_SCHEMA.fields.fadeSeconds,
+  scene: S.str(60),
+});
+
+const MOD_SHAPES = { off: 'Off', sine: 'Sine', drift: 'Drift' };
+
+const MOD_SCHEMA = S.obj({
+  shape: S.enum(Object.keys(MOD_SHAPES), 'off'),
+  depth: S.num(0, 1, 0.3),
+  period: S.num(5, 600, 60),
+});
+
+const MAX_CHANNELS = 24;
+
+function channelSchema(type){
+  const def = CHANNEL_TYPES[type];
+  const fields = { on: S.bool(def.on) };
+  const added = {};
+  for (const [k, p] of Object.entries(def.params)){
+    (p.added ? added : fields)[k] = p.options ? S.enum(Object.keys(p.options), p.default) : S.num(p.min, p.max, p.default);
+  }
+  for (const [k, max] of Object.entries(def.text || {})) fields[k] = S.str(max);
+  fields.mod = S.obj(Object.fromEntries(modKeys(type).map(k => [k, MOD_SCHEMA])));
+  return S.obj({ ...fields, ...added });
+}
+
+function isPlainObject(x){ return x != null && typeof x === 'object' && !Array.isArray(x); }
+
+function schemaDefaults(field){
+  if (field.type !== 'obj') return field.def;
+  return Object.fromEntries(Object.entries(field.fields).map(([k, f]) => [k, schemaDefaults(f)]));
+}
+
+// Missing values take the default silently; present-but-wrong ones are
+// repaired and reported.
+function coerce(field, raw, errors=[], path=''){
+  const at = path || 'value';
+  const fail = (msg) => { errors.push(`${at}: ${msg}`); return schemaDefaults(field); };
+  if (raw === undefined) return schemaDefaults(field);
+
+  switch (field.type){
+    case 'obj': {
+      if (!isPlainObject(raw)) return fail('expected an object');
+      const out = {};
+      for (const [k, f] of Object.entries(field.fields)){
+        out[k] = coerce(f, raw[k], errors, path ? `${path}.${k}` : k);
+      }
+      return out;
+    }
+    case 'num': {
+      const n = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof n !== 'number' || !Number.isFinite(n)) return fail(`expected a number, got ${JSON.stringify(raw)}`);
+      const v = field.int ? Math.round(n) : n;
+      const c = clamp(v, field.min, field.max);
+      if (c !== v) errors.push(`${at}: ${v} is out of range, clamped to ${c}`);
+      return c;
+    }
+    case 'bool':
+      return typeof raw === 'boolean' ? raw : fail(`expected true/false, got ${JSON.stringify(raw)}`);
+    case 'str':
+      if (typeof raw === 'number') return String(raw);
+      return typeof raw === 'string' ? raw.slice(0, field.max) : fail('expected text');
+    case 'enum':
+      return field.values.includes(raw) ? raw : fail(`unknown value ${JSON.stringify(raw)}`);
+  }
+  return fail('unsupported field');
+}
+
+// Mix format history, keyed on `version`. Each step lifts a mix from
+// version N to N + 1; validateMix runs whatever steps are needed.
+const MIX_VERSION = 2;
+const MIX_MIGRATIONS = {
+  // v1 keyed channels by type ({ rain: {...} }); v2 is an ordered list of
+  // instances so a type can appear any number of times.
+  1: (mix) => ({
+    ...mix,
+    channels: isPlainObject(mix.channels)
+      ? Object.entries(mix.channels).map(([type, ch]) => ({ ...ch, id: type, type }))
+      : mix.channels,
+  }),
+};
+
+function migrateMix(mix, errors){
+  let v = Number.isInteger(mix.version) && mix.version > 0 ? mix.version : 1;
+  if (v > MIX_VERSION){
+    errors.push(`version: ${v} is newer than this app understands (${MIX_VERSION}); unknown settings ignored`);
+  }
+  while (v < MIX_VERSION){
+    mix = MIX_MIGRATIONS[v](mix);
+    v++;
+  }
+  return mix;
+}
+
+function validateChannels(raw, errors){
+  if (raw === undefined) return structuredClone(DEFAULTS.channels);
+  if (!Array.isArray(raw)){
+    errors.push('channels: expected a list');
+    return structuredClone(DEFAULTS.channels);
+  }
+  const out = { channels: [] };
+  raw.forEach((ch, i) => {
+    const path = `channels[${i}]`;
+    if (!isPlainObject(ch) || !CHANNEL_TYPES[ch.type]){
+      errors.push(`${path}: unknown channel type ${JSON.stringify(ch?.type)}, dropped`);
+      return;
+    }
+    if (out.channels.length >= MAX_CHANNELS){
+      errors.push(`${path}: more than ${MAX_CHANNELS} layers, dropped`);
+      return;
+    }
+    let id = cleanId(ch.id, 40);
+    if (!id || out.channels.some(c => c.id === id)){
+      if (id) errors.push(`${path}: duplicate id ${JSON.stringify(id)}, renamed`);
+      else if (ch.id !== undefined) errors.push(`${path}: invalid id ${JSON.stringify(ch.id)}, renamed`);
+      id = newChannelId(out, ch.type);
+    }
+    out.channels.push({ id, type: ch.type, ...coerce(channelSchema(ch.type), ch, errors, path) });
+  });
+  return out.channels;
+}
+
+function validateMix(raw){
+  const errors = [];
+  if (!isPlainObject(raw)){
+    errors.push('mix: expected an object');
+    return { mix: structuredClone(DEFAULTS), errors };
+  }
+  const migrated = migrateMix(raw, errors);
+  const { master, timer, bus, seed } = coerce(MIX_SCHEMA, migrated, errors);
+  const channels = validateChannels(migrated.channels, errors);
+  return { mix: { version: MIX_VERSION, master, bus, channels, timer, seed }, errors };
+}
+
+// Ids end up in markup and attribute lookups, so only plain word characters
+// are kept; anything else gets a fresh id.
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function cleanId(raw, max){
+  const id = typeof raw === 'number' ? String(raw) : raw;
+  return typeof id === 'string' && id.length <= max && ID_PATTERN.test(id) ? id : '';
+}
+
+// Returns { scene: null } for anything without a mix.
+function validateScene(raw){
+  if (!isPlainObject(raw) || !isPlainObject(raw.mix)){
+    return { scene: null, errors: ['scene: missing mix'] };
   }
+  const errors = [];
+  const { name, createdAt, updatedAt, pinned } = coerce(SCENE_SCHEMA, raw, errors);
+  const { mix, errors: mixErrors } = validateMix(raw.mix);
+  const id = cleanId(raw.id, 64) || uid();
+  if (raw.id !== undefined && id !== String(raw.id)) errors.push(`id: invalid id ${JSON.stringify(raw.id)}, replaced`);
+  if (raw.tags !== undefined && !Array.isArray(raw.tags)) errors.push('tags: expected a list');
+  errors.push(...mixErrors.map(e => `mix.${e}`));
+  return {
+    scene: { id, name, createdAt: createdAt || nowMs(), updatedAt, pinned, tags: cleanTags(raw.tags), mix },
+    errors,
+  };
+}
+
+// Lower-case, trimmed and unique; accepts a list or comma-separated text.
+function cleanTags(raw){
+  const list = Array.isArray(raw) ? raw : String(raw ?? '').split(',');
+  const tags = list.filter(t => typeof t === 'string').map(t => t.trim().toLowerCase().slice(0, 24)).filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_SCENE_TAGS);
+}
+
+// `remap` collects old → new ids of scenes whose id had to be replaced.
+function validateScenes(list, errors, remap=new Map()){
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  list.forEach((raw, i) => {
+    const { scene, errors: sceneErrors } = validateScene(raw);
+    errors.push(...sceneErrors.map(e => `scenes[${i}].${e}`));
+    if (!scene) return;
+    if (raw.id != null && String(raw.id) !== scene.id) remap.set(String(raw.id), scene.id);
+    out.push(scene);
+  });
+  return out;
+}
+
+// Point everything that refers to a scene at its replacement id.
+function remapSceneIds(remap, { playlists=[], schedule=null, cycle=null, phases=[] }){
+  if (!remap.size) return;
+  const fix = (id) => remap.get(id) ?? id;
+  for (const pl of playlists) pl.steps.forEach(st => { st.sceneId = fix(st.sceneId); });
+  for (const slot of schedule?.slots ?? []) slot.sceneId = fix(slot.sceneId);
+  if (cycle) for (const k of ['focusScene', 'shortScene', 'longScene']) cycle[k] = fix(cycle[k]);
+  for (const phase of phases) phase.sceneId = fix(phase.sceneId);
+}
+
+function validatePlaylists(list, errors){
+  if (!Array.isArray(list)) return [];
+  return list.slice(0, MAX_PLAYLISTS).filter(isPlainObject).map((raw, i) => {
+    const at = `playlists[${i}]`;
+    const steps = Array.isArray(raw.steps) ? raw.steps.slice(0, MAX_PLAYLIST_STEPS) : [];
+    const id = cleanId(raw.id, 64);
+    if (!id && raw.id !== undefined) errors.push(`${at}.id: invalid id ${JSON.stringify(raw.id)}, replaced`);
+    return {
+      id: id || uid(),
+      ...coerce(PLAYLIST_SCHEMA, raw, errors, at),
+      steps: steps.map((st, j) => coerce(PLAYLIST_STEP_SCHEMA, st, errors, `${at}.steps[${j}]`)),
+    };
+  });
+}
+
+function validateSchedule(raw, errors){
+  if (!isPlainObject(raw)) return { enabled: false, slots: [] };
+  const slots = Array.isArray(raw.slots) ? raw.slots.slice(0, MAX_SCHEDULE_SLOTS) : [];
+  return {
+    enabled: coerce(S.bool(false), raw.enabled, errors, 'schedule.enabled'),
+    slots: slots.map((slot, i) => coerce(SCHEDULE_SLOT_SCHEMA, slot, errors, `schedule.slots[${i}]`)),
+  };
+}
+
+// Permalink payloads: { kind: 'hushboard-shared' | 'hushboard-scene', mix, name? }.
+function validateShared(payload){
+  if (!isPlainObject(payload) || !isPlainObject(payload.mix)) return null;
+  return { ...validateMix(payload.mix), name: coerce(S.str(60), payload.name) };
+}
+
+function validateExport(payload){
+  if (!isPlainObject(payload) || payload.kind !== 'hushboard-export' || !Array.isArray(payload.scenes)) return null;
+  const errors = [];
+  const remap = new Map();
+  const scenes = validateScenes(payload.scenes, errors, remap);
+  const playlists = validatePlaylists(payload.playlists, errors);
+  remapSceneIds(remap, { playlists });
+  return {
+    scenes,
+    playlists,
+    sounds: Array.isArray(payload.sounds) ? payload.sounds.filter(isPlainObject) : [],
+    errors,
+  };
+}
+
+// `remap` is non-empty when scene ids were replaced; the caller should save
+// so the rewrite happens once.
+function validateState(stored){
+  const errors = [];
+  const remap = new Map();
+  const { mix, errors: mixErrors } = validateMix(stored.mix);
+  errors.push(...mixErrors.map(e => `mix.${e}`));
+  const state = {
+    mix,
+    scenes: validateScenes(stored.scenes, errors, remap),
+    sceneSort: coerce(S.enum(Object.keys(SCENE_SORTS), 'newest'), stored.sceneSort, errors, 'sceneSort'),
+    cycle: coerce(CYCLE_SCHEMA, stored.cycle, errors, 'cycle'),
+    morph: coerce(MORPH_SCHEMA, stored.morph, errors, 'morph'),
+    alerts: coerce(ALERTS_SCHEMA, stored.alerts, errors, 'alerts'),
+    playlists: validatePlaylists(stored.playlists, errors),
+    schedule: validateSchedule(stored.schedule, errors),
+    updatedAt: +stored.updatedAt || nowMs(),
+  };
+  remapSceneIds(remap, state);
+  return { state, errors, remap };
+}
+
+// Null when there is nothing worth resuming.
+function validateRunningTimer(raw){
+  if (!isPlainObject(raw) || !Array.isArray(raw.phases) || !raw.phases.length) return null;
+  const errors = [];
+  const saved = coerce(RUNNING_TIMER_SCHEMA, raw, errors, 'timer');
+  saved.phases = raw.phases.slice(0, 25).map((p, i) => coerce(PHASE_SCHEMA, p, errors, `timer.phases[${i}]`));
+  if (!saved.endAt || saved.phaseIndex >= saved.phases.length) return null;
+  return saved;
+}
+
+function repairNote(errors){
+  if (!errors.length) return '';
+  return ` (${errors.length} value${errors.length === 1 ? '' : 's'} repaired)`;
+}
+
+const DEFAULTS = {
+  version: MIX_VERSION,
+  ...schemaDefaults(MIX_SCHEMA),
+  channels: Object.keys(CHANNEL_TYPES)
+    .filter(type => !CHANNEL_TYPES[type].fromFile)
+    .map(type => channelDefaults(type)),
 };
 
-const CHANNEL_DEFS = [
-  { id:'rain', name:'Rain', desc:'Filtered noise with gentle shimmer.' },
-  { id:'brown', name:'Brown Noise', desc:'Low rumble that masks HVAC/traffic.' },
-  { id:'binaural', name:'Binaural', desc:'Two tones; best with headphones.' },
-  { id:'cafe', name:'Cafe Murmur', desc:'Mid band noise for “public focus”.' },
-  { id:'chime', name:'Soft Chime', desc:'Occasional micro-bell to reset attention.' },
-];
+const CYCLE_DEFAULTS = schemaDefaults(CYCLE_SCHEMA);
+const MORPH_DEFAULTS = schemaDefaults(MORPH_SCHEMA);
+const ALERTS_DEFAULTS = schemaDefaults(ALERTS_SCHEMA);
+const BUS_DEFAULTS = schemaDefaults(BUS_SCHEMA);
 
 function clamp(n, a, b){ return Math.max(a, Math.min(b, n)); }
 
@@ -43,29 +593,188 @@ function safeParse(json, fallback){
   try { return JSON.parse(json); } catch { return fallback; }
 }
 
-function encodeSceneToHash(scene){
-  const json = JSON.stringify(scene);
-  const b64 = btoa(unescape(encodeURIComponent(json)))
+// `#z=` links: base64url bytes
+//   version · checksum (u16) · name · mix record · channel count · channels
+// where each channel is a registry type index plus a record. Records are
+// length-prefixed and walk the schema in field order, so fields added later
+// read as their defaults from older links. Numbers are fixed-point u16,
+// enums an index, bools one byte. Registry order is part of the format: new
+// channel types go at the end.
+const LINK_VERSION = 1;
+
+function numScale(field){
+  if (field.int) return 1;
+  const range = field.max - field.min;
+  return [1000, 100, 10].find(k => range * k <= 0xffff) ?? 1;
+}
+
+function writeField(out, field, value){
+  switch (field.type){
+    case 'obj':
+      for (const [k, f] of Object.entries(field.fields)) writeField(out, f, value?.[k]);
+      break;
+    case 'num': {
+      const q = Math.round(((value ?? field.def) - field.min) * numScale(field));
+      const v = clamp(q, 0, 0xffff);
+      out.push(v >> 8, v & 0xff);
+      break;
+    }
+    case 'bool':
+      out.push(value ? 1 : 0);
+      break;
+    case 'enum':
+      out.push(Math.max(0, field.values.indexOf(value)));
+      break;
+    case 'str': {
+      const bytes = new TextEncoder().encode(String(value ?? '')).slice(0, 255);
+      out.push(bytes.length, ...bytes);
+      break;
+    }
+  }
+}
+
+// Undefined once the record runs out; coerce() then fills the default.
+function readField(r, field){
+  if (field.type === 'obj'){
+    return Object.fromEntries(Object.entries(field.fields).map(([k, f]) => [k, readField(r, f)]));
+  }
+  const take = (n) => {
+    if (r.pos + n > r.end){ r.pos = r.end; return null; }
+    r.pos += n;
+    return r.bytes.subarray(r.pos - n, r.pos);
+  };
+  switch (field.type){
+    case 'num': {
+      const b = take(2);
+      return b && field.min + ((b[0] << 8) | b[1]) / numScale(field);
+    }
+    case 'bool': {
+      const b = take(1);
+      return b && b[0] === 1;
+    }
+    case 'enum': {
+      const b = take(1);
+      return b && field.values[b[0]];
+    }
+    case 'str': {
+      const len = take(1);
+      const b = len && take(len[0]);
+      return b ? new TextDecoder().decode(b) : undefined;
+    }
+  }
+  return undefined;
+}
+
+function writeRecord(out, field, value){
+  const body = [];
+  writeField(body, field, value);
+  if (body.length > 255) throw new RangeError('link record too long');
+  out.push(body.length, ...body);
+}
+
+function readRecord(r, field){
+  const len = r.bytes[r.pos++] ?? 0;
+  const sub = { bytes: r.bytes, pos: r.pos, end: Math.min(r.pos + len, r.end) };
+  r.pos += len;
+  return coerce(field, readField(sub, field));
+}
+
+function linkChecksum(bytes){
+  let h = 0x811c9dc5;
+  for (const b of bytes) h = Math.imul(h ^ b, 0x01000193);
+  return ((h >>> 16) ^ h) & 0xffff;
+}
+
+function encodeLink({ name='', mix }){
+  const types = Object.keys(CHANNEL_TYPES);
+  const body = [];
+  writeField(body, S.str(255), name);
+  writeRecord(body, MIX_SCHEMA, mix);
+  const channels = mix.channels.filter(ch => types.includes(ch.type));
+  body.push(channels.length);
+  for (const ch of channels){
+    body.push(types.indexOf(ch.type));
+    writeRecord(body, channelSchema(ch.type), ch);
+  }
+  const sum = linkChecksum(body);
+  const bytes = [LINK_VERSION, sum >> 8, sum & 0xff, ...body];
+  const b64 = btoa(String.fromCharCode(...bytes))
     .replaceAll('+','-').replaceAll('/','_').replaceAll('=','');
-  return `#s=${b64}`;
+  return `#z=${b64}`;
+}
+
+// Returns a permalink payload for validateShared, or null.
+function decodeLink(b64){
+  let bytes;
+  try{
+    const bin = atob(b64.replaceAll('-','+').replaceAll('_','/'));
+    bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+  } catch {
+    return null;
+  }
+  if (bytes.length < 4 || bytes[0] !== LINK_VERSION) return null;
+  if (linkChecksum(bytes.subarray(3)) !== ((bytes[1] << 8) | bytes[2])) return null; // truncated or mangled
+
+  const types = Object.keys(CHANNEL_TYPES);
+  const r = { bytes, pos: 3, end: bytes.length };
+  const name = readField(r, S.str(255));
+  const { master, timer, bus, seed } = readRecord(r, MIX_SCHEMA);
+  const channels = [];
+  const count = bytes[r.pos++] ?? 0;
+  const mix = { version: MIX_VERSION, master, bus, timer, seed, channels };
+  for (let i = 0; i < count && r.pos < r.end; i++){
+    const type = types[bytes[r.pos++]];
+    if (!type){ // newer channel type than this build knows; skip its record
+      r.pos += 1 + (bytes[r.pos] ?? 0);
+      continue;
+    }
+    const ch = readRecord(r, channelSchema(type));
+    channels.push({ id: newChannelId(mix, type), type, ...ch });
+  }
+  return { kind: 'hushboard-scene', name, mix };
 }
 
-function decodeSceneFromHash(){
-  const m = location.hash.match(/#s=([^&]+)/);
+// Old `#s=` links hold base64 JSON; they still open.
+function decodeSceneHash(hash){
+  const z = hash.match(/#z=([^&\s]+)/);
+  if (z) return decodeLink(z[1]);
+  const m = hash.match(/#s=([^&\s]+)/);
   if(!m) return null;
   const b64 = m[1].replaceAll('-','+').replaceAll('_','/');
   const pad = '='.repeat((4 - (b64.length % 4)) % 4);
-  const json = decodeURIComponent(escape(atob(b64 + pad)));
-  return safeParse(json, null);
+  try{
+    const json = decodeURIComponent(escape(atob(b64 + pad)));
+    return safeParse(json, null);
+  } catch {
+    return null; // truncated or mangled link
+  }
 }
 
 function loadState(){
   const raw = localStorage.getItem(STORAGE_KEY);
   const stored = raw ? safeParse(raw, null) : null;
-  if (stored && stored.mix) return stored; // current format
+  if (isPlainObject(stored) && isPlainObject(stored.mix)){ // current format
+    const { state, errors, remap } = validateState(stored);
+    if (errors.length) toast(`Saved settings loaded${repairNote(errors)}`);
+    if (remap.size){
+      saveState(state);
+      const saved = safeParse(localStorage.getItem(TIMER_KEY) || 'null', null);
+      if (Array.isArray(saved?.phases)){
+        remapSceneIds(remap, { phases: saved.phases.filter(isPlainObject) });
+        localStorage.setItem(TIMER_KEY, JSON.stringify(saved));
+      }
+    }
+    return state;
+  }
   return {
     mix: structuredClone(DEFAULTS),
     scenes: [],
+    sceneSort: 'newest',
+    cycle: structuredClone(CYCLE_DEFAULTS),
+    morph: structuredClone(MORPH_DEFAULTS),
+    alerts: structuredClone(ALERTS_DEFAULTS),
+    playlists: [],
+    schedule: { enabled: false, slots: [] },
     updatedAt: nowMs(),
   };
 }
@@ -75,65 +784,391 @@ function saveState(state){
   localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
 }
 
+function loadLog(){
+  const raw = safeParse(localStorage.getItem(LOG_KEY) || '[]', []);
+  if (!Array.isArray(raw)) return [];
+  return raw.map(e => coerce(LOG_ENTRY_SCHEMA, e)).filter(e => e.startedAt > 0);
+}
+
+function saveLog(log){
+  localStorage.setItem(LOG_KEY, JSON.stringify(log.slice(-LOG_LIMIT)));
+}
+
+function loadSavedTimer(){
+  return validateRunningTimer(safeParse(localStorage.getItem(TIMER_KEY) || 'null', null));
+}
+
+// Small integer hashes for deterministic "randomness" keyed on time.
+function hashString(str){
+  let h = 0x811c9dc5;
+  for (let i=0;i<str.length;i++) h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+function hashNoise(salt, k){
+  let h = Math.imul(salt ^ k, 0x9e3779b1);
+  h ^= h >>> 15; h = Math.imul(h, 0x85ebca77);
+  h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae3d);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967295 * 2 - 1;
+}
+
 function uid(){
   return Math.random().toString(16).slice(2) + '-' + Math.random().toString(16).slice(2);
 }
 
 // -------------------- Audio Engine --------------------
+const MOD_LOOKAHEAD = 4; // seconds of modulation kept scheduled ahead
+
+// The ceiling stage is a tanh soft clip; its curve spans ±CLIP_RANGE times
+// the ceiling, beyond which the output simply sits at the ceiling.
+const CLIP_RANGE = 4;
+const CLIP_CURVE = Float32Array.from({ length: 2049 }, (_, i) => Math.tanh((i / 1024 - 1) * CLIP_RANGE));
+
+// Texture fallback (no AudioWorklet): loop length, and how long a param must
+// rest before the loop is rendered again.
+const TEXTURE_LOOP_SECONDS = 6;
+const TEXTURE_RENDER_DELAY_MS = 300;
+
+// Isochronic gate: sine LFO in, 0..1 pulse with soft edges out.
+const PULSE_CURVE = Float32Array.from({ length: 1025 }, (_, i) => 0.5 + 0.5 * Math.tanh((i / 512 - 1) * 6));
+
+function dbToGain(db){ return Math.pow(10, db / 20); }
+
+// Timer cue melodies (Hz): rising when focus starts, falling when it ends.
+const CUE_NOTES = {
+  start: [523.25, 659.25, 783.99],
+  end: [783.99, 659.25, 523.25],
+  warn: [659.25, 659.25],
+};
+const CUE_RING_SECONDS = 1.2;
+
+// Audio context recovery (see Engine._watch).
+const WATCHDOG_MS = 5000;
+const RESUME_WAIT_MS = 1500;
+const RESUME_BACKOFF_MS = [0, 1000, 3000];
+
+// Resolves with the promise's value, or undefined after `ms`; never rejects.
+function within(promise, ms){
+  return Promise.race([promise.catch(() => {}), new Promise(r => setTimeout(r, ms))]);
+}
+
+// Modulator value in -1..1 at session time `t` (seconds).
+function modValue(m, t){
+  if (m.shape === 'sine') return Math.sin(2 * Math.PI * t / m.period);
+  // Drift: smoothed value noise with a new knot every quarter period.
+  const x = t / (m.period / 4);
+  const k = Math.floor(x);
+  const e = (1 - Math.cos((x - k) * Math.PI)) / 2;
+  return lerp(hashNoise(m.salt, k), hashNoise(m.salt, k + 1), e);
+}
+
+// Decoded loop audio, shared by the live engine and offline renders.
+const loopBuffers = new Map(); // hash → Promise<AudioBuffer|null>
+
+function loopBuffer(ctx, hash){
+  if (!hash) return Promise.resolve(null);
+  if (!loopBuffers.has(hash)){
+    const job = loopBytes(hash)
+      .then(bytes => bytes && ctx.decodeAudioData(bytes))
+      .catch(() => null);
+    loopBuffers.set(hash, job);
+    job.then(buf => { if (!buf) loopBuffers.delete(hash); }); // missing now, maybe imported later
+  }
+  return loopBuffers.get(hash);
+}
+
 class Engine{
   constructor(){
     this.ctx = null;
     this.master = null;
     this.running = false;
 
-    this.nodes = {}; // per channel
+    this.nodes = {}; // per channel instance id
     this.noiseBuffers = {}; // cached buffers
 
-    this._chimeInterval = null;
+    this.offline = false;
+    this.worklets = false; // hush-noise processor available on this.ctx
+    this.bus = null; // master chain nodes
+    this.meter = null; // analyser on the final output
+    this.cueBus = null;
+    this.timeOffset = 0; // session time at context time 0 (offline segments)
+    this.seed = 0; // mix seed: noise and modulation repeat exactly for a seed
+    this.stream = 0; // sets offline segments of one render apart
+    this.span = null; // timer span for beat ramps, in session seconds
+    this.pending = new Set(); // loop audio still loading
+    this.onstatus = null; // (status) when playback stalls or recovers
+    this.onrebuild = null; // after a fresh context replaced a dead one
+    this._modTimer = null;
+    this._watchdog = null;
+    this._recovering = false;
+    this._blocked = false;
+  }
+
+  // Build the master bus on `ctx`. Channels are created by syncChannels.
+  // Offline engines schedule chimes up front (see scheduleChimes) instead of
+  // running timers.
+  attach(ctx, { offline=false } = {}){
+    this.ctx = ctx;
+    this.offline = offline;
+    this.master = ctx.createGain();
+    this.master.gain.value = 0.6;
+    this.bus = this._busChain(this.master);
+    this.bus.out.connect(ctx.destination);
+    this.setBus(BUS_DEFAULTS);
+    this.meter = offline ? null : this._tap(2048);
+    if (this.meter) this.bus.out.connect(this.meter);
+  }
+
+  // master → low shelf → bell → high shelf → compressor → soft clip → out
+  _busChain(input){
+    const ctx = this.ctx;
+    const eq = (type, freq) => {
+      const f = ctx.createBiquadFilter();
+      f.type = type;
+      f.frequency.value = freq;
+      return f;
+    };
+    const low = eq('lowshelf', 200);
+    const mid = eq('peaking', 1000);
+    const high = eq('highshelf', 4500);
+    mid.Q.value = 0.7;
+    const comp = ctx.createDynamicsCompressor();
+    const drive = ctx.createGain();
+    const clip = ctx.createWaveShaper();
+    clip.curve = CLIP_CURVE;
+    clip.oversample = '2x';
+    const out = ctx.createGain();
+
+    input.connect(low);
+    low.connect(mid);
+    mid.connect(high);
+    high.connect(comp);
+    comp.connect(drive);
+    drive.connect(clip);
+    clip.connect(out);
+    return { low, mid, high, comp, drive, out };
+  }
+
+  setBus(bus){
+    if (!this.bus) return;
+    const t = this.ctx.currentTime;
+    const { low, mid, high, comp, drive, out } = this.bus;
+    low.gain.setTargetAtTime(bus.low, t, 0.05);
+    mid.gain.setTargetAtTime(bus.mid, t, 0.05);
+    high.gain.setTargetAtTime(bus.high, t, 0.05);
+
+    // Limiter off = a compressor with ratio 1, i.e. a pass-through.
+    comp.threshold.setValueAtTime(bus.limiter ? bus.ceiling - 6 : 0, t);
+    comp.knee.setValueAtTime(bus.limiter ? 6 : 0, t);
+    comp.ratio.setValueAtTime(bus.limiter ? 12 : 1, t);
+    comp.attack.setValueAtTime(0.003, t);
+    comp.release.setValueAtTime(0.25, t);
+
+    const ceiling = dbToGain(bus.ceiling);
+    drive.gain.setTargetAtTime(1 / (ceiling * CLIP_RANGE), t, 0.05);
+    out.gain.setTargetAtTime(ceiling, t, 0.05);
+  }
+
+  // Continuous noise and textures need the AudioWorklet; without it (old
+  // browsers, file:// pages) they fall back to short looped buffers.
+  async loadWorklets(){
+    try{
+      await this.ctx.audioWorklet.addModule(new URL('noise-worklet.js', import.meta.url));
+      await this.ctx.audioWorklet.addModule(new URL('texture-worklet.js', import.meta.url));
+      this.worklets = true;
+    } catch {
+      this.worklets = false;
+    }
   }
 
   async start(){
     if (this.running) return;
     if (!this.ctx){
-      this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-      this.master = this.ctx.createGain();
-      this.master.gain.value = 0.6;
-      this.master.connect(this.ctx.destination);
+      this.attach(new (window.AudioContext || window.webkitAudioContext)());
+      await this.loadWorklets();
+      this._watch(this.ctx);
     }
 
-    // Some browsers start suspended.
-    if (this.ctx.state === 'suspended') await this.ctx.resume();
+    // Some browsers start suspended. Without a user gesture resume() can
+    // stay pending forever, so don't wait on it indefinitely.
+    if (this.ctx.state === 'suspended') await within(this.ctx.resume(), RESUME_WAIT_MS);
 
-    this.ensureChannels();
     this.running = true;
+    this._blocked = this.ctx.state !== 'running';
+    this._lastClock = null;
+    this._watchdog = setInterval(() => this._checkClock(), WATCHDOG_MS);
   }
 
-  async stop(){
-    if (!this.ctx) return;
+  // 'off', 'playing', 'recovering', 'blocked' (needs a click) or the
+  // context's own state ('suspended', 'interrupted').
+  get status(){
+    if (!this.running || !this.ctx) return 'off';
+    if (this._recovering) return 'recovering';
+    if (this._blocked) return 'blocked';
+    return this.ctx.state === 'running' ? 'playing' : this.ctx.state;
+  }
+
+  // Unplugged headphones, device switches and OS sleep suspend or interrupt
+  // the context; try to resume it, and rebuild it if that doesn't take.
+  _watch(ctx){
+    ctx.addEventListener('statechange', () => {
+      if (ctx !== this.ctx || !this.running) return;
+      if (ctx.state === 'running') this._blocked = false;
+      else if (!this._blocked) this._recover(ctx);
+      this.onstatus?.(this.status);
+    });
+  }
+
+  // A context can report 'running' while its clock stands still (the
+  // output device went away).
+  _checkClock(){
+    const ctx = this.ctx;
+    if (!ctx || !this.running || this._blocked) return;
+    const t = ctx.currentTime;
+    const stalled = ctx.state === 'running' && t === this._lastClock;
+    this._lastClock = t;
+    if (stalled || ctx.state !== 'running') this._recover(ctx, { stalled });
+  }
+
+  async _recover(ctx, { stalled=false } = {}){
+    if (this._recovering) return;
+    this._recovering = true;
+    this.onstatus?.(this.status);
     try{
-      if (this._chimeInterval) clearInterval(this._chimeInterval);
-      this._chimeInterval = null;
+      for (const ms of stalled ? [] : RESUME_BACKOFF_MS){
+        await new Promise(r => setTimeout(r, ms));
+        if (ctx !== this.ctx || !this.running || ctx.state === 'running') return;
+        if (ctx.state !== 'closed') await within(ctx.resume(), RESUME_WAIT_MS);
+        if (ctx.state === 'running') return;
+      }
+      if (ctx !== this.ctx || !this.running || (!stalled && ctx.state === 'running')) return;
+      await this.stop();
+      await this.start();
+      this._recovering = false; // let the callback see the new state
+      this.onrebuild?.();
+    } finally {
+      this._recovering = false;
+      this.onstatus?.(this.status);
+    }
+  }
 
-      Object.values(this.nodes).forEach(n => {
-        try{ n.stop?.(); }catch{}
-        try{ n.disconnect?.(); }catch{}
-      });
-      this.nodes = {};
+  // From a click: browsers only allow resuming a blocked context then.
+  async resumeNow(){
+    if (!this.ctx) return;
+    await within(this.ctx.resume(), RESUME_WAIT_MS);
+    this._blocked = this.ctx.state !== 'running';
+    this.onstatus?.(this.status);
+  }
 
+  async stop(){
+    if (!this.ctx) return;
+    this.running = false; // closing fires statechange; that's no dropout
+    try{
+      if (this._modTimer) clearInterval(this._modTimer);
+      this._modTimer = null;
+      if (this._watchdog) clearInterval(this._watchdog);
+      this._watchdog = null;
+      Object.keys(this.nodes).forEach(id => this.removeChannel(id));
       await this.ctx.close();
     } finally {
       this.ctx = null;
       this.master = null;
+      this.bus = null;
+      this.meter = null;
+      this.cueBus = null;
+      this.span = null;
       this.running = false;
     }
   }
 
-  ensureChannels(){
-    this.ensureNoiseChannel('rain', { hp: 180, lp: 4200, q: 0.9, color: 'white' });
-    this.ensureNoiseChannel('brown', { hp: 20, lp: 900, q: 0.7, color: 'brown' });
-    this.ensureNoiseChannel('cafe', { hp: 250, lp: 2200, q: 0.6, color: 'pink' });
-    this.ensureBinaural('binaural');
-    this.ensureChime('chime');
+  // Create nodes for new instances and tear down the ones no longer listed.
+  syncChannels(channels){
+    const wanted = new Map(channels.map(ch => [ch.id, ch]));
+    for (const [id, node] of Object.entries(this.nodes)){
+      if (wanted.get(id)?.type !== node.type) this.removeChannel(id);
+    }
+    for (const [id, ch] of wanted){
+      if (this.nodes[id] || !CHANNEL_TYPES[ch.type]) continue;
+      CHANNEL_TYPES[ch.type].create(this, id, ch);
+      this.nodes[id].type = ch.type;
+    }
+  }
+
+  // Every random source in the engine is derived from the seed and the layer
+  // id. Changing it restarts noise (crossfaded) and modulation on new streams.
+  setSeed(seed){
+    if (seed === this.seed) return;
+    this.seed = seed;
+    this.noiseBuffers = {};
+    if (!this.ctx) return;
+    const t = this.ctx.currentTime;
+    for (const [id, ch] of Object.entries(this.nodes)){
+      if (ch.bed) this._reseedNoise(id, ch);
+      if (ch.texSrc) this._reseedTexture(id, ch);
+      for (const [key, m] of Object.entries(ch.mods || {})){
+        m.salt = this._modSalt(id, key);
+        this._restartMod(m, t);
+      }
+    }
+  }
+
+  _layerSeed(id){
+    return hashString(`${this.seed}:${this.stream}:${id}`);
+  }
+
+  _modSalt(id, key){
+    return hashString(`${this.seed}:${id}:${key}`);
+  }
+
+  removeChannel(id){
+    const ch = this.nodes[id];
+    if (!ch) return;
+    if (ch._timer) clearInterval(ch._timer);
+    Object.values(ch.mods || {}).forEach(m => this._dropMod(m));
+    for (const src of ch.sources || []) this._stopSource(src);
+    try{ ch.gain.disconnect(); }catch{}
+    try{ ch.amp.disconnect(); }catch{}
+    delete this.nodes[id];
+  }
+
+  _stopSource(src){
+    try{
+      if (src.port) src.port.postMessage({ stop: true }); // worklet: end process()
+      else src.stop();
+    }catch{}
+    try{ src.disconnect(); }catch{}
+  }
+
+  // gain (volume, on/off) → amp (volume modulation) → master, plus a level
+  // tap off amp for the meters (live contexts only).
+  _channelOut(){
+    const gain = this.ctx.createGain();
+    gain.gain.value = 0;
+    const amp = this.ctx.createGain();
+    gain.connect(amp);
+    amp.connect(this.master);
+    const meter = this.offline ? null : this._tap(256);
+    if (meter) amp.connect(meter);
+    return { gain, amp, meter };
+  }
+
+  _tap(fftSize){
+    const tap = this.ctx.createAnalyser();
+    tap.fftSize = fftSize;
+    tap.smoothingTimeConstant = 0.8;
+    return tap;
+  }
+
+  // RMS level of a tap in dBFS (-Infinity when silent).
+  level(tap){
+    if (!tap) return -Infinity;
+    if (!this._levelBuf) this._levelBuf = new Float32Array(2048);
+    const data = this._levelBuf.subarray(0, tap.fftSize);
+    tap.getFloatTimeDomainData(data);
+    let sum = 0;
+    for (const v of data) sum += v * v;
+    return 10 * Math.log10(sum / data.length);
   }
 
   setMaster(vol){
@@ -166,20 +1201,156 @@ class Engine{
     }
   }
 
-  setBinauralBeat(id, beatHz){
+  // Any of beat, rampTo, ramp, carrier, mode and width.
+  setBeat(id, values){
     const ch = this.nodes[id];
-    if (!ch) return;
-    const beat = clamp(+beatHz || 6, 1, 20);
-    const base = 220;
-    ch.oscL.frequency.setTargetAtTime(base, this.ctx.currentTime, 0.02);
-    ch.oscR.frequency.setTargetAtTime(base + beat, this.ctx.currentTime, 0.02);
+    if (!ch || ch.kind !== 'binaural') return;
+    Object.assign(ch.opts, values);
+    const t = this.ctx.currentTime;
+    if ('carrier' in values){
+      ch.oscL.frequency.setTargetAtTime(ch.opts.carrier, t, 0.02);
+      ch.oscR.frequency.setTargetAtTime(ch.opts.carrier, t, 0.02);
+    }
+    if ('mode' in values || 'width' in values){
+      // Binaural: one tone per ear. Monaural: both tones in both ears.
+      // Isochronic: the left tone alone, switched on and off at the beat.
+      const iso = ch.opts.mode === 'isochronic';
+      const w = ch.opts.mode === 'binaural' ? ch.opts.width : 0;
+      ch.panL.pan.setTargetAtTime(-w, t, 0.05);
+      ch.panR.pan.setTargetAtTime(w, t, 0.05);
+      ch.right.gain.setTargetAtTime(iso ? 0 : 1, t, 0.05);
+      ch.gate.gain.setTargetAtTime(iso ? 0 : 1, t, 0.05);
+      ch.pulse.gain.setTargetAtTime(iso ? 1 : 0, t, 0.05);
+    }
+    if ('beat' in values || 'rampTo' in values || 'ramp' in values) this._scheduleBeat(ch, 0.02);
+  }
+
+  // Session-time span (seconds) that beat ramps run across; null = none.
+  setSpan(span){
+    const same = (a, b) => Math.abs(a - b) < 0.25;
+    if (span === this.span || (span && this.span && same(span.start, this.span.start) && same(span.end, this.span.end))) return;
+    this.span = span;
+    for (const ch of Object.values(this.nodes)){
+      if (ch.kind === 'binaural') this._scheduleBeat(ch, 0.5);
+    }
+  }
+
+  _scheduleBeat(ch, glide){
+    const p = ch.beat.offset;
+    const t = this.ctx.currentTime;
+    const { beat, rampTo } = ch.opts;
+    const span = ch.opts.ramp === 'timer' && this.span;
+    p.cancelScheduledValues(t);
+    if (!span){
+      p.setValueAtTime(p.value, t);
+      p.setTargetAtTime(beat, t, glide);
+      return;
+    }
+    const end = span.end - this.timeOffset;
+    const progress = clamp((t - (span.start - this.timeOffset)) / (span.end - span.start), 0, 1);
+    p.setValueAtTime(lerp(beat, rampTo, progress), t);
+    if (end > t) p.linearRampToValueAtTime(rampTo, end);
   }
 
-  setChimeRate(id, rate){
+  // Morphs nudge the rate every frame (`gliding`); they only restart the
+  // interval on a real change, everything else lands on the exact rate.
+  setChimeRate(id, rate, { gliding=false } = {}){
     const ch = this.nodes[id];
     if (!ch) return;
     ch._rate = clamp(rate, 0, 1);
-    this._rearmChime();
+    const moved = Math.abs(ch._rate - (ch._armedRate ?? -1));
+    if (gliding ? moved >= 0.05 : moved > 0) this._rearmChime(id);
+  }
+
+  // Slow modulation: a ConstantSource per (channel, param) whose offset
+  // follows modValue() on the session timeline, fanned out through one
+  // scaling gain per target AudioParam. Being a pure function of time keeps
+  // it continuous across offline render segments.
+  setChannelMod(id, key, mod){
+    const ch = this.nodes[id];
+    if (!ch) return;
+    const targets = key === 'vol' ? [[ch.amp.gain, 0.5]] : CHANNEL_TYPES[ch.type]?.mod?.[key]?.(ch);
+    if (!targets) return;
+
+    const on = !!mod && mod.shape !== 'off' && mod.depth > 0;
+    const t = this.ctx.currentTime;
+    // Volume swings between (1 - depth) and 1, never above the set level.
+    if (key === 'vol') ch.amp.gain.setTargetAtTime(on ? 1 - mod.depth / 2 : 1, t, 0.05);
+
+    ch.mods ||= {};
+    let m = ch.mods[key];
+    if (!on){
+      if (m) this._dropMod(m);
+      delete ch.mods[key];
+      return;
+    }
+    if (!m){
+      const src = this.ctx.createConstantSource();
+      src.offset.value = 0;
+      const scales = targets.map(([param]) => {
+        const g = this.ctx.createGain();
+        g.gain.value = 0;
+        src.connect(g);
+        g.connect(param);
+        return g;
+      });
+      src.start();
+      m = ch.mods[key] = { src, scales, salt: this._modSalt(id, key), until: t };
+    }
+
+    targets.forEach(([, scale], i) => m.scales[i].gain.setTargetAtTime(mod.depth * scale, t, 0.05));
+    if (m.shape !== mod.shape || m.period !== mod.period){
+      m.shape = mod.shape;
+      m.period = mod.period;
+      this._restartMod(m, t);
+    }
+    this._fillMod(m, t + MOD_LOOKAHEAD);
+    this._armModTimer();
+  }
+
+  _restartMod(m, t){
+    m.src.offset.cancelScheduledValues(t);
+    m.src.offset.setValueAtTime(modValue(m, this.timeOffset + t), t);
+    m.until = t;
+  }
+
+  _dropMod(m){
+    try{ m.src.stop(); }catch{}
+    try{ m.src.disconnect(); }catch{}
+    m.scales.forEach(g => { try{ g.disconnect(); }catch{} });
+  }
+
+  _fillMod(m, until){
+    const now = this.offline ? 0 : this.ctx.currentTime;
+    if (m.until < now){ // timer was throttled; pick up from here
+      m.until = now;
+      m.src.offset.setValueAtTime(modValue(m, this.timeOffset + now), now);
+    }
+    const step = m.period / (m.shape === 'sine' ? 32 : 16);
+    while (m.until < until){
+      m.until += step;
+      m.src.offset.linearRampToValueAtTime(modValue(m, this.timeOffset + m.until), m.until);
+    }
+  }
+
+  _eachMod(fn){
+    for (const ch of Object.values(this.nodes)){
+      Object.values(ch.mods || {}).forEach(fn);
+    }
+  }
+
+  _armModTimer(){
+    if (this.offline || this._modTimer) return;
+    this._modTimer = setInterval(() => {
+      if (!this.ctx) return;
+      const until = this.ctx.currentTime + MOD_LOOKAHEAD;
+      this._eachMod(m => this._fillMod(m, until));
+    }, 1000);
+  }
+
+  // Offline only: schedule modulation for the whole render up front.
+  scheduleModulation(duration){
+    this._eachMod(m => this._fillMod(m, duration));
   }
 
   async fadeToSilent(seconds){
@@ -195,13 +1366,15 @@ class Engine{
     this.master.gain.linearRampToValueAtTime(0.0001, t0 + s);
   }
 
-  ensureNoiseChannel(id, {hp, lp, q, color}){
+  ensureNoiseChannel(id, filters){
     if (this.nodes[id]) return;
+    this.nodes[id] = { kind: 'noise', ...this._noiseBed(id, filters) };
+  }
 
+  // Noise through the tone filters; shared by noise, rain and cafe layers.
+  _noiseBed(id, {hp, lp, q, color}){
     const ctx = this.ctx;
-
-    const gain = ctx.createGain();
-    gain.gain.value = 0;
+    const { gain, amp, meter } = this._channelOut();
 
     const hpF = ctx.createBiquadFilter();
     hpF.type = 'highpass';
@@ -213,104 +1386,363 @@ class Engine{
     lpF.frequency.value = lp;
     lpF.Q.value = q;
 
-    const src = ctx.createBufferSource();
-    src.buffer = this.getNoiseBuffer(color);
-    src.loop = true;
+    const src = this._noiseSource(id, color);
+    const bed = ctx.createGain();
 
-    // src → hp → lp → gain → master
-    src.connect(hpF);
+    // src → bed → hp → lp → gain → amp → master
+    src.connect(bed);
+    bed.connect(hpF);
     hpF.connect(lpF);
     lpF.connect(gain);
-    gain.connect(this.master);
-
-    src.start();
 
-    this.nodes[id] = {
-      kind: 'noise',
+    return {
+      color,
       src,
+      sources: [src],
+      bed,
       hp: hpF,
       lp: lpF,
       filter: true,
-      gain,
+      gain, amp, meter,
       _targetVol: 0.3,
       _isOn: false,
     };
   }
 
-  ensureBinaural(id){
-    if (this.nodes[id]) return;
+  // Rain and cafe: a synthesized texture over a noise bed, both through the
+  // tone filters. The bed level follows the texture params.
+  ensureRain(id, values){
+    this._ensureTexture(id, 'rain', values, { hp: 180, lp: 4200, q: 0.9, color: values.color || 'white' });
+  }
+
+  ensureCafe(id, values){
+    this._ensureTexture(id, 'cafe', values, { hp: 250, lp: 2200, q: 0.6, color: values.color || 'pink' });
+  }
+
+  setRain(id, values){
+    this._setTexture(id, 'rain', values);
+  }
+
+  setCafe(id, values){
+    this._setTexture(id, 'cafe', values);
+  }
+
+  _ensureTexture(id, kind, values, filters){
+    if (this.nodes[id]) return;
+    const tex = TEXTURES[kind];
+    const ch = { kind, ...this._noiseBed(id, filters) };
+    ch.texValues = Object.fromEntries(Object.entries(tex.params).map(([k, def]) => [k, values[k] ?? def]));
+    ch.bed.gain.value = tex.bed(ch.texValues);
+    ch.texSrc = this._textureSource(id, ch);
+    ch.texSrc.connect(ch.hp);
+    ch.sources.push(ch.texSrc);
+    this.nodes[id] = ch;
+  }
+
+  _textureSource(id, ch){
+    const seed = this._layerSeed(`${id}:texture`);
+    if (this.worklets){
+      return new AudioWorkletNode(this.ctx, `hush-${ch.kind}`, {
+        numberOfInputs: 0,
+        outputChannelCount: [1],
+        processorOptions: { seed },
+        parameterData: ch.texValues,
+      });
+    }
+    const src = this.ctx.createBufferSource();
+    src.buffer = this.getTextureBuffer(ch.kind, seed, ch.texValues);
+    src.loop = true;
+    src.start();
+    return src;
+  }
+
+  _setTexture(id, kind, values){
+    const ch = this.nodes[id];
+    if (!ch || ch.kind !== kind) return;
+    const changed = Object.keys(values).filter(k => k in ch.texValues && ch.texValues[k] !== values[k]);
+    if (!changed.length) return;
+    for (const k of changed) ch.texValues[k] = values[k];
+    const t = this.ctx.currentTime;
+    ch.bed.gain.setTargetAtTime(TEXTURES[kind].bed(ch.texValues), t, 0.1);
+    if (ch.texSrc.parameters){
+      for (const k of changed) ch.texSrc.parameters.get(k).setTargetAtTime(ch.texValues[k], t, 0.1);
+      return;
+    }
+    // Buffer fallback: rendering is slow, so wait until the slider settles.
+    clearTimeout(ch._texRender);
+    ch._texRender = setTimeout(() => this._swapTexture(id, ch), TEXTURE_RENDER_DELAY_MS);
+  }
+
+  _swapTexture(id, ch){
+    if (this.nodes[id] !== ch) return; // removed meanwhile
+    const src = this._textureSource(id, ch);
+    src.connect(ch.hp);
+    this._stopSource(ch.texSrc);
+    ch.sources = ch.sources.map(s => s === ch.texSrc ? src : s);
+    ch.texSrc = src;
+  }
+
+  _noiseSource(id, color){
+    const seed = this._layerSeed(id);
+    if (this.worklets){
+      return new AudioWorkletNode(this.ctx, 'hush-noise', {
+        numberOfInputs: 0,
+        outputChannelCount: [1],
+        processorOptions: { color, seed },
+      });
+    }
+    const src = this.ctx.createBufferSource();
+    src.buffer = this.getNoiseBuffer(color, seed);
+    src.loop = true;
+    src.start();
+    return src;
+  }
+
+  setNoiseColor(id, color){
+    const ch = this.nodes[id];
+    if (!ch?.bed || ch.color === color || !NOISE_COLORS[color]) return;
+    ch.color = color;
+    if (ch.src.port){
+      ch.src.port.postMessage({ color });
+      return;
+    }
+    this._swapNoise(id, ch);
+  }
+
+  _reseedTexture(id, ch){
+    if (ch.texSrc.port) ch.texSrc.port.postMessage({ seed: this._layerSeed(`${id}:texture`) });
+    else this._swapTexture(id, ch);
+  }
+
+  _reseedNoise(id, ch){
+    if (ch.src.port){
+      ch.src.port.postMessage({ seed: this._layerSeed(id) });
+      return;
+    }
+    this._swapNoise(id, ch);
+  }
+
+  // Buffer fallback: swap sources (the hp/lp chain smooths the edge).
+  _swapNoise(id, ch){
+    const src = this._noiseSource(id, ch.color);
+    src.connect(ch.bed);
+    this._stopSource(ch.src);
+    ch.sources = ch.sources.map(s => s === ch.src ? src : s);
+    ch.src = src;
+  }
+
+  // src (looped buffer) → hp → lp → gain → amp → master. The source only
+  // exists once the audio is loaded; until then the layer is silent.
+  ensureLoop(id){
+    if (this.nodes[id]) return;
     const ctx = this.ctx;
+    const { gain, amp, meter } = this._channelOut();
 
-    const gain = ctx.createGain();
-    gain.gain.value = 0;
+    const hpF = ctx.createBiquadFilter();
+    hpF.type = 'highpass';
+    hpF.Q.value = 0.7;
+    const lpF = ctx.createBiquadFilter();
+    lpF.type = 'lowpass';
+    lpF.Q.value = 0.7;
+    hpF.connect(lpF);
+    lpF.connect(gain);
 
-    const panL = ctx.createStereoPanner();
-    panL.pan.value = -0.85;
+    this.nodes[id] = {
+      kind: 'loop',
+      hash: '',
+      buffer: null,
+      src: null,
+      sources: [],
+      region: { start: 0, end: 1 },
+      hp: hpF,
+      lp: lpF,
+      filter: true,
+      gain, amp, meter,
+      _targetVol: 0.3,
+      _isOn: false,
+    };
+  }
+
+  setLoopSound(id, hash){
+    const ch = this.nodes[id];
+    if (!ch || ch.kind !== 'loop' || ch.hash === hash) return;
+    ch.hash = hash;
+    ch.buffer = null;
+    this._startLoop(ch);
+    const job = loopBuffer(this.ctx, hash).then(buffer => {
+      if (this.nodes[id] !== ch || ch.hash !== hash) return;
+      ch.buffer = buffer;
+      this._startLoop(ch);
+    });
+    this.pending.add(job);
+    job.finally(() => this.pending.delete(job));
+  }
 
+  // After importing audio: retry layers whose file was missing.
+  reloadLoops(){
+    for (const [id, ch] of Object.entries(this.nodes)){
+      if (ch.kind !== 'loop' || ch.buffer || !ch.hash) continue;
+      const hash = ch.hash;
+      ch.hash = '';
+      this.setLoopSound(id, hash);
+    }
+  }
+
+  // Resolves once every requested loop has loaded (or turned out missing).
+  async ready(){
+    while (this.pending.size) await Promise.all(this.pending);
+  }
+
+  setLoopRegion(id, region){
+    const ch = this.nodes[id];
+    if (!ch || ch.kind !== 'loop') return;
+    Object.assign(ch.region, region);
+    if (ch.src) this._loopPoints(ch.src, ch.region);
+  }
+
+  _loopPoints(src, { start, end }){
+    const dur = src.buffer.duration;
+    const a = clamp(start, 0, 0.99);
+    src.loopStart = a * dur;
+    src.loopEnd = clamp(end, a + 0.01, 1) * dur;
+  }
+
+  _startLoop(ch){
+    if (ch.src) this._stopSource(ch.src);
+    ch.src = null;
+    ch.sources = [];
+    if (!ch.buffer) return;
+    const src = this.ctx.createBufferSource();
+    src.buffer = ch.buffer;
+    src.loop = true;
+    this._loopPoints(src, ch.region);
+    src.connect(ch.hp);
+    // Offline segments pick up where the loop would be at session time.
+    const len = src.loopEnd - src.loopStart;
+    const phase = this.offline ? ((this.timeOffset % len) + len) % len : 0;
+    src.start(0, src.loopStart + phase);
+    ch.src = src;
+    ch.sources = [src];
+  }
+
+  // oscL (carrier) → gate → panL ┐
+  // oscR (carrier + beat) → right → panR ┴→ gain → amp → master
+  // `beat` drives oscR's offset and the isochronic pulse LFO, whose soft
+  // square wave opens the gate through `pulse`.
+  ensureBinaural(id){
+    if (this.nodes[id]) return;
+    const ctx = this.ctx;
+    const { gain, amp, meter } = this._channelOut();
+
+    const panL = ctx.createStereoPanner();
     const panR = ctx.createStereoPanner();
-    panR.pan.value = 0.85;
 
     const oscL = ctx.createOscillator();
     oscL.type = 'sine';
     const oscR = ctx.createOscillator();
     oscR.type = 'sine';
 
-    oscL.connect(panL);
-    oscR.connect(panR);
+    const beat = ctx.createConstantSource();
+    beat.offset.value = 6;
+    const lfo = ctx.createOscillator();
+    lfo.frequency.value = 0;
+    const shape = ctx.createWaveShaper();
+    shape.curve = PULSE_CURVE;
+    const pulse = ctx.createGain();
+    pulse.gain.value = 0;
+
+    const gate = ctx.createGain();
+    const right = ctx.createGain();
+
+    beat.connect(oscR.frequency);
+    beat.connect(lfo.frequency);
+    lfo.connect(shape);
+    shape.connect(pulse);
+    pulse.connect(gate.gain);
+
+    oscL.connect(gate);
+    gate.connect(panL);
+    oscR.connect(right);
+    right.connect(panR);
     panL.connect(gain);
     panR.connect(gain);
-    gain.connect(this.master);
 
-    oscL.start();
-    oscR.start();
+    for (const src of [oscL, oscR, beat, lfo]) src.start();
 
     this.nodes[id] = {
       kind: 'binaural',
-      oscL, oscR,
-      gain,
+      oscL, oscR, beat, lfo,
+      gate, right, pulse, panL, panR,
+      sources: [oscL, oscR, beat, lfo],
+      opts: {},
+      gain, amp, meter,
       _targetVol: 0.15,
       _isOn: false,
     };
+    const { vol, ...params } = CHANNEL_TYPES.binaural.params;
+    this.setBeat(id, Object.fromEntries(Object.entries(params).map(([k, p]) => [k, p.default])));
   }
 
   ensureChime(id){
     if (this.nodes[id]) return;
-    const ctx = this.ctx;
-
-    const gain = ctx.createGain();
-    gain.gain.value = 0;
-    gain.connect(this.master);
+    const { gain, amp, meter } = this._channelOut();
 
     this.nodes[id] = {
       kind: 'chime',
-      gain,
+      gain, amp, meter,
       _targetVol: 0.12,
       _isOn: false,
       _rate: 0.35,
+      _timer: null,
     };
 
-    this._rearmChime();
+    this._rearmChime(id);
   }
 
-  _rearmChime(){
-    if (this._chimeInterval) clearInterval(this._chimeInterval);
-    if (!this.ctx) return;
-
+  _chimeIntervalMs(rate){
     // Rate 0..1 → interval 30s..5s
-    const ch = this.nodes['chime'];
+    return Math.round(30000 - rate * 25000);
+  }
+
+  _rearmChime(id){
+    const ch = this.nodes[id];
     if (!ch) return;
-    const intervalMs = Math.round(30000 - ch._rate * 25000);
+    if (ch._timer) clearInterval(ch._timer);
+    ch._timer = null;
+    if (!this.ctx || this.offline) return;
+
+    ch._armedRate = ch._rate;
+    ch._timer = setInterval(() => {
+      if (this.nodes[id] !== ch || !ch._isOn) return;
+      this._playChimeOnce(ch, ch._targetVol);
+    }, this._chimeIntervalMs(ch._rate));
+  }
+
+  // Offline only: place every chime that sounds in [from, from + duration)
+  // of the session timeline, in context time.
+  scheduleChimes(from, duration){
+    for (const ch of Object.values(this.nodes)){
+      if (ch.kind !== 'chime' || !ch._isOn) continue;
+      const step = this._chimeIntervalMs(ch._rate) / 1000;
+      for (let n = Math.max(1, Math.ceil(from / step)); n * step < from + duration; n++){
+        this._playChimeOnce(ch, ch._targetVol, n * step - from);
+      }
+    }
+  }
 
-    this._chimeInterval = setInterval(() => {
-      const c = this.nodes['chime'];
-      if (!c || !c._isOn) return;
-      this._playChimeOnce(c._targetVol);
-    }, intervalMs);
+  // Timer cues have their own bus straight to the output, so neither the
+  // master volume nor an end-of-session fade can swallow them. Returns the
+  // seconds until the cue has rung out.
+  playCue(kind, vol){
+    if (!this.cueBus){
+      this.cueBus = this.ctx.createGain();
+      this.cueBus.connect(this.ctx.destination);
+    }
+    return ringCue(this.cueBus, kind, vol);
   }
 
-  _playChimeOnce(vol){
+  _playChimeOnce(ch, vol, t0=this.ctx.currentTime){
     const ctx = this.ctx;
-    const t0 = ctx.currentTime;
 
     const osc = ctx.createOscillator();
     const g = ctx.createGain();
@@ -324,59 +1756,225 @@ class Engine{
     g.gain.exponentialRampToValueAtTime(0.0001, t0 + 0.25);
 
     osc.connect(g);
-    g.connect(this.nodes['chime'].gain);
+    g.connect(ch.gain);
 
     osc.start(t0);
     osc.stop(t0 + 0.28);
   }
 
-  getNoiseBuffer(color){
-    if (this.noiseBuffers[color]) return this.noiseBuffers[color];
+  getNoiseBuffer(color, seed){
+    const key = `${color}:${seed}`;
+    if (this.noiseBuffers[key]) return this.noiseBuffers[key];
 
     const ctx = this.ctx;
     const sampleRate = ctx.sampleRate;
     const seconds = 2;
     const buffer = ctx.createBuffer(1, sampleRate * seconds, sampleRate);
     const data = buffer.getChannelData(0);
+    const next = createNoise(color, seededRandom(seed));
+    for (let i=0;i<data.length;i++) data[i] = next();
 
-    if (color === 'white'){
-      for (let i=0;i<data.length;i++) data[i] = (Math.random()*2-1) * 0.6;
-    } else if (color === 'pink'){
-      // Voss-McCartney-ish (simple)
-      let b0=0,b1=0,b2=0,b3=0,b4=0,b5=0,b6=0;
-      for (let i=0;i<data.length;i++){
-        const w = Math.random()*2-1;
-        b0 = 0.99886*b0 + w*0.0555179;
-        b1 = 0.99332*b1 + w*0.0750759;
-        b2 = 0.96900*b2 + w*0.1538520;
-        b3 = 0.86650*b3 + w*0.3104856;
-        b4 = 0.55000*b4 + w*0.5329522;
-        b5 = -0.7616*b5 - w*0.0168980;
-        const pink = b0+b1+b2+b3+b4+b5+b6+w*0.5362;
-        b6 = w*0.115926;
-        data[i] = (pink*0.11);
-      }
-    } else if (color === 'brown'){
-      let last = 0;
-      for (let i=0;i<data.length;i++){
-        const w = (Math.random()*2-1) * 0.05;
-        last = clamp(last + w, -1, 1);
-        data[i] = last * 0.7;
-      }
-    } else {
-      for (let i=0;i<data.length;i++) data[i] = (Math.random()*2-1) * 0.6;
-    }
+    this.noiseBuffers[key] = buffer;
+    return buffer;
+  }
 
-    this.noiseBuffers[color] = buffer;
+  // Rendered on the main thread, so kept short and not cached: the params
+  // are baked in.
+  getTextureBuffer(kind, seed, values){
+    const ctx = this.ctx;
+    const buffer = ctx.createBuffer(1, ctx.sampleRate * TEXTURE_LOOP_SECONDS, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    const next = TEXTURES[kind].create(ctx.sampleRate, seededRandom(seed));
+    for (let i=0;i<data.length;i++) data[i] = next(values);
     return buffer;
   }
 }
 
 const engine = new Engine();
 
+// -------------------- Offline render --------------------
+// Long renders are split into segments so the audio graph only ever holds
+// 30 s and progress / cancel have somewhere to hook in. The encoded WAV is
+// still kept in memory until it is saved, so big files ask first. Each
+// segment warms up for a moment (filters, gain smoothing) and overlaps the
+// next one by a short crossfade.
+const RENDER_SEGMENT_SECONDS = 30;
+const RENDER_PREROLL_SECONDS = 0.3;
+const RENDER_XFADE_SECONDS = 0.05;
+const RENDER_MAX_MINUTES = 90;
+const RENDER_WARN_BYTES = 500 * 1024 * 1024;
+
+function renderBytes(minutes, sampleRate, bits){
+  return 44 + Math.round(minutes * 60 * sampleRate) * 2 * bits / 8;
+}
+
+function wavHeader(frames, channels, sampleRate, bits){
+  const bytes = bits / 8;
+  const dataSize = frames * channels * bytes;
+  const view = new DataView(new ArrayBuffer(44));
+  const tag = (o, str) => { for (let i=0;i<4;i++) view.setUint8(o+i, str.charCodeAt(i)); };
+  tag(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  tag(8, 'WAVE');
+  tag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * bytes, true);
+  view.setUint16(32, channels * bytes, true);
+  view.setUint16(34, bits, true);
+  tag(36, 'data');
+  view.setUint32(40, dataSize, true);
+  return view.buffer;
+}
+
+function encodePcm(chans, bits){
+  const frames = chans[0].length;
+  const bytes = bits / 8;
+  const out = new Uint8Array(frames * chans.length * bytes);
+  const view = new DataView(out.buffer);
+  let o = 0;
+  for (let i=0;i<frames;i++){
+    for (const data of chans){
+      const x = clamp(data[i], -1, 1);
+      if (bits === 16){
+        view.setInt16(o, Math.round(x * 32767), true);
+      } else {
+        const v = Math.round(x * 8388607);
+        out[o] = v & 255;
+        out[o+1] = (v >> 8) & 255;
+        out[o+2] = (v >> 16) & 255;
+      }
+      o += bytes;
+    }
+  }
+  return out;
+}
+
+async function renderSegment(mix, sampleRate, fromFrame, frames, totalSeconds){
+  const ctx = new OfflineAudioContext(2, frames, sampleRate);
+  const eng = new Engine();
+  eng.attach(ctx, { offline: true });
+  await eng.loadWorklets();
+  eng.timeOffset = fromFrame / sampleRate;
+  eng.stream = fromFrame; // fresh noise per segment, the same on every render
+  eng.span = { start: 0, end: totalSeconds }; // beat ramps span the whole file
+  applyMixToAudio(mix, eng);
+  await eng.ready();
+  eng.scheduleChimes(fromFrame / sampleRate, frames / sampleRate);
+  eng.scheduleModulation(frames / sampleRate);
+  const buf = await ctx.startRendering();
+  return [buf.getChannelData(0), buf.getChannelData(1)];
+}
+
+async function renderMixToWav(mix, { minutes, sampleRate=44100, bits=16, onProgress, signal } = {}){
+  const totalFrames = Math.round(clamp(minutes, 1, RENDER_MAX_MINUTES) * 60 * sampleRate);
+  const segFrames = RENDER_SEGMENT_SECONDS * sampleRate;
+  const preFrames = Math.round(RENDER_PREROLL_SECONDS * sampleRate);
+  const xfFrames = Math.round(RENDER_XFADE_SECONDS * sampleRate);
+  const fade = mix.timer.endBehavior === 'fade' ? clamp(+mix.timer.fadeSeconds || 0, 0, 120) : 0;
+  const fadeFrames = Math.round(fade * sampleRate);
+
+  const parts = [wavHeader(totalFrames, 2, sampleRate, bits)];
+  let tail = null; // overlap rendered past the previous segment's end
+
+  for (let start = 0; start < totalFrames; ){
+    if (signal?.aborted) throw new DOMException('Render cancelled', 'AbortError');
+
+    const end = Math.min(totalFrames, start + segFrames);
+    const pre = start === 0 ? 0 : preFrames;
+    const post = end < totalFrames ? xfFrames : 0;
+    const len = end - start;
+    const chans = await renderSegment(mix, sampleRate, start - pre, pre + len + post, totalFrames / sampleRate);
+    const body = chans.map(d => d.subarray(pre, pre + len));
+
+    if (tail){
+      const n = Math.min(tail[0].length, len);
+      for (let i=0;i<n;i++){
+        const p = (i + 0.5) / n * Math.PI / 2;
+        for (let c=0;c<body.length;c++) body[c][i] = tail[c][i] * Math.cos(p) + body[c][i] * Math.sin(p);
+      }
+    }
+    tail = post ? chans.map(d => d.slice(pre + len, pre + len + post)) : null;
+
+    if (fadeFrames){
+      for (let i = Math.max(0, totalFrames - fadeFrames - start); i < len; i++){
+        const g = (totalFrames - start - i) / fadeFrames;
+        for (const d of body) d[i] *= g;
+      }
+    }
+
+    parts.push(encodePcm(body, bits));
+    start = end;
+    onProgress?.(start / totalFrames);
+  }
+
+  return new Blob(parts, { type: 'audio/wav' });
+}
+
 // -------------------- UI + State --------------------
 let state = loadState();
-let timer = { running: false, endAt: 0, tick: null };
+// -------------------- History --------------------
+// Session-only undo/redo of the mix. Consecutive edits with the same key
+// (one slider drag) collapse into a single step.
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 800;
+const history = { past: [], future: [], key: null, at: 0 };
+
+function recordMix(key=null){
+  const t = nowMs();
+  if (key && history.key === key && t - history.at < HISTORY_COALESCE_MS){
+    history.at = t;
+    return;
+  }
+  history.past.push(structuredClone(state.mix));
+  if (history.past.length > HISTORY_LIMIT) history.past.shift();
+  history.future = [];
+  history.key = key;
+  history.at = t;
+  renderHistoryButtons();
+}
+
+function endGesture(){
+  history.key = null;
+}
+
+function stepHistory(from, to, label){
+  if (!from.length) return;
+  to.push(structuredClone(state.mix));
+  history.key = null;
+  replaceMix(from.pop(), { record: false, seconds: Math.min(state.morph.seconds, 0.4) });
+  renderHistoryButtons();
+  toast(label);
+}
+
+function undoMix(){ stepHistory(history.past, history.future, 'Undo'); }
+function redoMix(){ stepHistory(history.future, history.past, 'Redo'); }
+
+function renderHistoryButtons(){
+  $('#btnUndo').disabled = !history.past.length;
+  $('#btnRedo').disabled = !history.future.length;
+}
+
+let sessionLog = loadLog();
+let activeScene = null; // { id?, name } of the scene last loaded, for the session log
+let renderJob = null; // { scene, abort } while the export dialog is open
+let importJob = null; // { result, rows } while the import preview is open
+let morph = null; // { frame, tick } while a mix transition is running
+let timer = {
+  running: false,
+  endAt: 0,
+  total: 0,
+  tick: null,
+  phases: [],
+  phaseIndex: 0,
+  phaseStartedAt: 0,
+  endBehavior: 'fade',
+  fadeSeconds: 10,
+  owner: null, // tab running the timer; other tabs only mirror it
+  warned: false, // warning for the current phase already given
+};
 
 function mixSnapshot(){
   const m = structuredClone(state.mix);
@@ -385,93 +1983,256 @@ function mixSnapshot(){
 
 function applyMixToUI(mix){
   $('#master').value = mix.master;
+  for (const el of $$('input[data-bus]')){
+    const k = el.dataset.bus;
+    if (el.type === 'checkbox') el.checked = !!mix.bus[k];
+    else el.value = mix.bus[k];
+  }
+  renderBusReadouts(mix.bus);
 
-  for (const def of CHANNEL_DEFS){
-    const ch = mix.channels[def.id];
-    if (!ch) continue;
-    const el = $(`[data-ch="${def.id}"]`);
+  const boxes = new Map($$('#channels [data-ch]').map(el => [el.dataset.ch, el]));
+  for (const ch of mix.channels){
+    const el = boxes.get(ch.id);
     if (!el) continue;
 
     el.querySelector('input[data-k="on"]').checked = !!ch.on;
-    el.querySelector('input[data-k="vol"]').value = ch.vol;
-
-    const extras = el.querySelectorAll('input[data-k], select[data-k]');
-    extras.forEach(x => {
+    el.querySelectorAll('input[data-k], select[data-k]').forEach(x => {
       const k = x.dataset.k;
-      if (k === 'tone' && ch.tone != null) x.value = ch.tone;
-      if (k === 'beat' && ch.beat != null) x.value = ch.beat;
-      if (k === 'rate' && ch.rate != null) x.value = ch.rate;
+      if (k !== 'on' && ch[k] != null) x.value = ch[k];
+    });
+    el.querySelectorAll('[data-mod]').forEach(row => {
+      const mod = ch.mod?.[row.dataset.mod];
+      if (!mod) return;
+      row.querySelectorAll('[data-mk]').forEach(x => { x.value = mod[x.dataset.mk]; });
+      row.querySelector('.mod-period').textContent = `${mod.period}s`;
     });
   }
 
   $('#timerMinutes').value = mix.timer.minutes;
   $('#fadeSeconds').value = mix.timer.fadeSeconds;
   $('#endBehavior').value = mix.timer.endBehavior;
+  renderSeed();
 }
 
-function applyMixToAudio(mix){
-  engine.setMaster(mix.master);
-  for (const def of CHANNEL_DEFS){
-    const ch = mix.channels[def.id];
-    if (!ch) continue;
+function renderBusReadouts(bus){
+  for (const el of $$('[data-bus-out]')){
+    const v = bus[el.dataset.busOut];
+    el.textContent = `${v > 0 ? '+' : ''}${v} dB`;
+  }
+}
+
+function applyChannelParams(eng, ch, opts){
+  const def = CHANNEL_TYPES[ch.type];
+  if (!def) return;
+  for (const [k, set] of Object.entries(def.set)){
+    if (ch[k] != null) set(eng, ch.id, ch[k], opts);
+  }
+}
 
-    if (def.id === 'binaural') engine.setBinauralBeat('binaural', ch.beat);
-    if (def.id === 'chime') engine.setChimeRate('chime', ch.rate);
-    if (ch.tone != null) engine.setChannelTone(def.id, ch.tone);
+function applyMixToAudio(mix, eng=engine){
+  eng.setSeed(mix.seed);
+  eng.syncChannels(mix.channels);
+  eng.setMaster(mix.master);
+  eng.setBus(mix.bus);
+  for (const ch of mix.channels){
+    applyChannelParams(eng, ch);
+    for (const k of modKeys(ch.type)) eng.setChannelMod(ch.id, k, ch.mod?.[k]);
 
-    const node = engine.nodes[def.id];
+    const node = eng.nodes[ch.id];
     if (node){
       node._isOn = !!ch.on;
-      engine.setChannelVol(def.id, ch.vol);
-      engine.setChannelOn(def.id, !!ch.on);
+      eng.setChannelVol(ch.id, ch.vol);
+      eng.setChannelOn(ch.id, !!ch.on);
+    }
+  }
+}
+
+// -------------------- Morphing --------------------
+function lerp(a, b, p){ return a + (b - a) * p; }
+
+// A frame is what the engine actually hears: on/off folded into one gain.
+function mixFrame(mix){
+  const channels = {};
+  for (const ch of mix.channels){
+    channels[ch.id] = { ...ch, gain: ch.on ? ch.vol : 0 };
+  }
+  return { master: mix.master, bus: mix.bus, channels };
+}
+
+// Channels only present on one side fade in from / out to silence.
+function blendFrames(a, b, p){
+  const channels = {};
+  for (const id of new Set([...Object.keys(a.channels), ...Object.keys(b.channels)])){
+    const x = a.channels[id] || { ...b.channels[id], gain: 0 };
+    const y = b.channels[id] || { ...a.channels[id], gain: 0 };
+    // Equal-power when a channel switches on or off, plain lerp otherwise.
+    const gain = (x.gain === 0 || y.gain === 0)
+      ? x.gain * Math.cos(p * Math.PI / 2) + y.gain * Math.sin(p * Math.PI / 2)
+      : lerp(x.gain, y.gain, p);
+    const ch = { id, type: y.type, gain };
+    for (const k of Object.keys(CHANNEL_TYPES[y.type]?.set || {})){
+      if (y[k] == null) continue;
+      // Discrete params (noise colour) hold until the morph lands.
+      if (typeof y[k] !== 'number') ch[k] = x[k] ?? y[k];
+      else ch[k] = x[k] != null ? lerp(x[k], y[k], p) : y[k];
+    }
+    channels[id] = ch;
+  }
+  const bus = {};
+  for (const [k, v] of Object.entries(b.bus)) bus[k] = typeof v === 'number' ? lerp(a.bus[k], v, p) : a.bus[k];
+  return { master: lerp(a.master, b.master, p), bus, channels };
+}
+
+function applyFrameToAudio(frame){
+  engine.setMaster(frame.master);
+  engine.setBus(frame.bus);
+  for (const [id, ch] of Object.entries(frame.channels)){
+    const node = engine.nodes[id];
+    if (!node) continue;
+    applyChannelParams(engine, ch, { gliding: true });
+    node._isOn = ch.gain > 0.0005;
+    engine.setChannelVol(id, ch.gain);
+  }
+}
+
+function stopMorph(){
+  if (morph) clearInterval(morph.tick);
+  morph = null;
+}
+
+// Jump to the end of a running morph (e.g. when the user grabs a slider).
+function settleMorph(){
+  if (!morph) return;
+  stopMorph();
+  if (engine.running) applyMixToAudio(state.mix);
+}
+
+// Glide the engine from `from` to `to`. A morph already in flight is
+// retargeted from wherever it currently is.
+function morphTo(from, to, { seconds=state.morph.seconds, curve=state.morph.curve } = {}){
+  const start = morph ? morph.frame : mixFrame(from);
+  stopMorph();
+  if (!engine.running) return;
+  if (!(seconds > 0)){
+    applyMixToAudio(to);
+    return;
+  }
+
+  const target = mixFrame(to);
+  // Keep outgoing channels alive until the morph lands on `to`.
+  engine.setSeed(to.seed);
+  engine.syncChannels(Object.values(blendFrames(start, target, 0).channels));
+  const ease = MORPH_CURVES[curve] || MORPH_CURVES.linear;
+  const t0 = performance.now();
+  const m = { frame: start, tick: null };
+
+  const step = () => {
+    if (morph !== m) return;
+    if (!engine.running){ stopMorph(); return; }
+    const p = clamp((performance.now() - t0) / (seconds * 1000), 0, 1);
+    if (p >= 1){
+      stopMorph();
+      applyMixToAudio(to);
+      return;
     }
+    m.frame = blendFrames(start, target, ease(p));
+    applyFrameToAudio(m.frame);
+  };
+
+  morph = m;
+  m.tick = setInterval(step, 40);
+  step();
+}
+
+function paramControl(k, p, value){
+  if (p.options){
+    const opts = Object.entries(p.options)
+      .map(([v, label]) => `<option value="${v}" ${v === value ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    return `
+      <label class="chip">
+        <span>${p.label}</span>
+        <select class="chip-select" data-k="${k}">${opts}</select>
+      </label>
+    `;
   }
+  return `
+    <label class="chip">
+      <span>${p.label}</span>
+      <input data-k="${k}" type="range" min="${p.min}" max="${p.max}" step="${p.step}" value="${value}" />
+    </label>
+  `;
+}
+
+function channelLabel(mix, ch){
+  const name = CHANNEL_TYPES[ch.type].name;
+  const same = mix.channels.filter(c => c.type === ch.type);
+  return same.length > 1 ? `${name} ${same.indexOf(ch) + 1}` : name;
+}
+
+function modControls(ch){
+  const def = CHANNEL_TYPES[ch.type];
+  const rows = modKeys(ch.type).map(k => {
+    const mod = ch.mod[k];
+    const shapes = Object.entries(MOD_SHAPES)
+      .map(([v, label]) => `<option value="${v}" ${mod.shape === v ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    return `
+      <div class="mod-row" data-mod="${k}">
+        <span class="mod-name">${def.params[k].label}</span>
+        <select class="select" data-mk="shape" aria-label="${def.params[k].label} motion">${shapes}</select>
+        <label class="chip">
+          <span>Depth</span>
+          <input data-mk="depth" type="range" min="0" max="1" step="0.01" value="${mod.depth}" />
+        </label>
+        <label class="chip">
+          <span>Period</span>
+          <input data-mk="period" type="range" min="5" max="600" step="5" value="${mod.period}" />
+          <span class="mod-period">${mod.period}s</span>
+        </label>
+      </div>
+    `;
+  }).join('');
+  const active = modKeys(ch.type).some(k => ch.mod[k].shape !== 'off');
+  return `
+    <details class="ch-motion" ${active ? 'open' : ''}>
+      <summary>Motion${active ? ' · on' : ''}</summary>
+      ${rows}
+    </details>
+  `;
 }
 
 function renderChannels(){
   const wrap = $('#channels');
   wrap.innerHTML = '';
 
-  for (const def of CHANNEL_DEFS){
-    const ch = state.mix.channels[def.id];
+  const list = state.mix.channels;
+  const full = list.length >= MAX_CHANNELS;
+  $('#btnAddLayer').disabled = full;
+  $('#loopFile').disabled = full;
+  if (!list.length){
+    const empty = document.createElement('div');
+    empty.className = 'tiny';
+    empty.textContent = 'No layers. Add one below.';
+    wrap.appendChild(empty);
+  }
+
+  list.forEach((ch, i) => {
+    const def = CHANNEL_TYPES[ch.type];
+    if (!def) return;
 
     const el = document.createElement('div');
     el.className = 'channel';
-    el.dataset.ch = def.id;
-
-    const extras = (() => {
-      if (def.id === 'binaural'){
-        return `
-          <label class="chip">
-            <span>Beat Hz</span>
-            <input data-k="beat" type="range" min="1" max="20" step="0.5" value="${ch.beat}" />
-          </label>
-        `;
-      }
-      if (def.id === 'chime'){
-        return `
-          <label class="chip">
-            <span>Rate</span>
-            <input data-k="rate" type="range" min="0" max="1" step="0.01" value="${ch.rate}" />
-          </label>
-        `;
-      }
-      // noise channels
-      if (def.id === 'rain' || def.id === 'brown' || def.id === 'cafe'){
-        return `
-          <label class="chip">
-            <span>Tone</span>
-            <input data-k="tone" type="range" min="0" max="1" step="0.01" value="${ch.tone}" />
-          </label>
-        `;
-      }
-      return '';
-    })();
+    el.dataset.ch = ch.id;
+
+    const controls = Object.entries(def.params)
+      .map(([k, p]) => paramControl(k, p, ch[k] ?? p.default))
+      .join('');
 
     el.innerHTML = `
       <div class="channel-top">
         <div>
-          <div class="ch-name">${def.name}</div>
+          <div class="ch-name">${channelLabel(state.mix, ch)}</div>
           <div class="ch-desc">${def.desc}</div>
         </div>
         <label class="switch">
@@ -480,22 +2241,180 @@ function renderChannels(){
         </label>
       </div>
 
+      <div class="meter" aria-hidden="true"><span class="meter-fill"></span></div>
+
+      ${def.card ? def.card(ch) : ''}
+
       <div class="ch-controls">
-        <label class="chip">
-          <span>Vol</span>
-          <input data-k="vol" type="range" min="0" max="1" step="0.01" value="${ch.vol}" />
-        </label>
-        ${extras}
+        ${controls}
+      </div>
+
+      ${modControls(ch)}
+
+      <div class="ch-actions">
+        <button class="btn mini" data-act="up" type="button" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+        <button class="btn mini" data-act="down" type="button" title="Move down" ${i === list.length - 1 ? 'disabled' : ''}>↓</button>
+        <button class="btn mini" data-act="dup" type="button" title="Duplicate layer" ${full ? 'disabled' : ''}>Duplicate</button>
+        <button class="btn mini" data-act="remove" type="button" title="Remove layer">Remove</button>
       </div>
     `;
 
     wrap.appendChild(el);
+  });
+}
+
+function renderLayerTypes(){
+  $('#layerType').innerHTML = Object.entries(CHANNEL_TYPES)
+    .map(([type, def]) => `<option value="${type}">${def.name}</option>`)
+    .join('');
+}
+
+function newChannelId(mix, type){
+  const taken = new Set(mix.channels.map(ch => ch.id));
+  if (!taken.has(type)) return type;
+  let n = 2;
+  while (taken.has(`${type}-${n}`)) n++;
+  return `${type}-${n}`;
+}
+
+// Add / duplicate / move / remove layers, then resync UI and audio.
+function editLayers(fn){
+  settleMorph();
+  recordMix();
+  fn(state.mix.channels);
+  saveState(state);
+  renderChannels();
+  if (engine.running) applyMixToAudio(state.mix);
+}
+
+// Loading drops layers past the cap, so never create them in the first place.
+function layersFull(){
+  if (state.mix.channels.length < MAX_CHANNELS) return false;
+  toast(`A mix can have up to ${MAX_CHANNELS} layers`);
+  return true;
+}
+
+function addLayer(type, values={}){
+  if (!CHANNEL_TYPES[type] || layersFull()) return;
+  editLayers(list => list.push({ ...channelDefaults(type, newChannelId(state.mix, type)), on: true, ...values }));
+}
+
+function layerAction(id, act){
+  if (act === 'dup' && layersFull()) return;
+  editLayers(list => {
+    const i = list.findIndex(ch => ch.id === id);
+    if (i < 0) return;
+    if (act === 'dup'){
+      list.splice(i + 1, 0, { ...structuredClone(list[i]), id: newChannelId(state.mix, list[i].type) });
+    }
+    if (act === 'remove') list.splice(i, 1);
+    if (act === 'up' && i > 0) list.splice(i - 1, 0, ...list.splice(i, 1));
+    if (act === 'down' && i < list.length - 1) list.splice(i + 1, 0, ...list.splice(i, 1));
+  });
+}
+
+// -------------------- Audio loops --------------------
+// The audio lives in IndexedDB (loops.js); channels hold its hash and name.
+const MAX_LOOP_BYTES = 40 * 1024 * 1024;
+let loopLibrary = []; // metadata of the files stored on this device
+
+async function refreshLoops(){
+  try{
+    loopLibrary = await listLoops();
+  } catch {
+    toast('Audio library unavailable in this browser');
+    loopLibrary = [];
+  }
+  renderChannels();
+}
+
+function loopPicker(ch){
+  const known = loopLibrary.some(l => l.hash === ch.sound);
+  const opts = loopLibrary.map(l =>
+    `<option value="${l.hash}" ${l.hash === ch.sound ? 'selected' : ''}>${escapeHtml(l.name)}</option>`);
+  if (!ch.sound) opts.unshift('<option value="" selected>Choose audio…</option>');
+  else if (!known) opts.unshift(`<option value="${escapeHtml(ch.sound)}" selected>${escapeHtml(ch.soundName || 'Unknown')} (missing)</option>`);
+  const missing = ch.sound && !known
+    ? `<div class="loop-missing tiny">“${escapeHtml(ch.soundName || 'This audio')}” isn’t stored in this browser.
+        <button class="btn mini" data-act="loop-file" type="button">Choose file…</button></div>`
+    : '';
+  return `
+    <div class="loop-pick">
+      <label class="chip">
+        <span>Audio</span>
+        <select class="chip-select" data-k="sound">${opts.join('')}</select>
+      </label>
+      ${missing}
+    </div>
+  `;
+}
+
+// Store a picked file, then loop it in layer `target` or a new layer.
+async function importLoopFile(file, target=null){
+  if (!target && layersFull()) return;
+  if (file.size > MAX_LOOP_BYTES){
+    alert(`That file is too large (limit ${MAX_LOOP_BYTES / 1024 / 1024} MB).`);
+    return;
+  }
+  let meta;
+  try{
+    const bytes = await file.arrayBuffer();
+    await new OfflineAudioContext(1, 1, 44100).decodeAudioData(bytes.slice(0)); // reject what can't play
+    meta = await saveLoop({ name: file.name, type: file.type, bytes });
+  } catch {
+    alert('Could not import that file. Use an audio format this browser can play.');
+    return;
+  }
+  loopLibrary = await listLoops().catch(() => loopLibrary);
+  const values = loopValues(meta);
+  if (target && state.mix.channels.some(ch => ch.id === target)){
+    setLoopSound(target, values);
+  } else {
+    addLayer('loop', values);
+  }
+  if (engine.running) engine.reloadLoops();
+  toast(`Imported “${meta.name}”`);
+}
+
+function loopValues(meta){
+  return { sound: meta.hash, soundName: meta.name.replace(/\.[^.]+$/, '').slice(0, 40) };
+}
+
+function setLoopSound(id, values){
+  const ch = state.mix.channels.find(c => c.id === id);
+  if (!ch) return;
+  settleMorph();
+  recordMix();
+  Object.assign(ch, values);
+  saveState(state);
+  renderChannels();
+  if (engine.running) engine.setLoopSound(id, ch.sound);
+}
+
+// Replacement file for a layer whose audio is missing.
+function pickLoopFile(id){
+  const input = Object.assign(document.createElement('input'), { type: 'file', accept: 'audio/*' });
+  input.addEventListener('change', () => {
+    if (input.files?.[0]) importLoopFile(input.files[0], id);
+  });
+  input.click();
+}
+
+// Hashes of stored audio that `scenes` refer to.
+function loopHashes(scenes){
+  const out = new Set();
+  for (const s of scenes){
+    for (const ch of s.mix.channels) if (CHANNEL_TYPES[ch.type]?.text?.sound && ch.sound) out.add(ch.sound);
   }
+  return out;
 }
 
 function renderScenes(){
   const wrap = $('#scenes');
   wrap.innerHTML = '';
+  renderCycleScenePickers();
+  $('#sceneCount').textContent = `${state.scenes.length} / ${MAX_SCENES}`;
+  $('#sceneSort').value = state.sceneSort;
 
   if (!state.scenes.length){
     const empty = document.createElement('div');
@@ -505,21 +2424,51 @@ function renderScenes(){
     return;
   }
 
-  const sorted = [...state.scenes].sort((a,b) => b.createdAt - a.createdAt);
+  const query = $('#sceneSearch').value.trim().toLowerCase();
+  const shown = state.scenes.filter(s => !query || sceneMatches(s, query)).sort(sceneOrder(state.sceneSort));
+
+  if (!shown.length){
+    const empty = document.createElement('div');
+    empty.className = 'tiny';
+    empty.textContent = 'No scenes match the search.';
+    wrap.appendChild(empty);
+    return;
+  }
 
-  for (const s of sorted){
+  for (const s of shown){
     const el = document.createElement('div');
     el.className = 'scene';
+    el.dataset.pinned = s.pinned;
+
+    const when = s.updatedAt
+      ? `Updated ${new Date(s.updatedAt).toLocaleString()}`
+      : new Date(s.createdAt).toLocaleString();
+    const tags = s.tags.map(t => `<button class="tag" data-act="tag" data-id="${escapeHtml(s.id)}" data-tag="${escapeHtml(t)}" type="button">#${escapeHtml(t)}</button>`).join('');
 
     el.innerHTML = `
       <div class="meta">
-        <div class="name">${escapeHtml(s.name)}</div>
-        <div class="small">${new Date(s.createdAt).toLocaleString()}</div>
+        <div class="name">
+          <button class="pin" data-act="pin" data-id="${escapeHtml(s.id)}" type="button" aria-pressed="${s.pinned}" title="${s.pinned ? 'Unpin' : 'Pin to top'}">${s.pinned ? '★' : '☆'}</button>
+          ${escapeHtml(s.name)}
+        </div>
+        <div class="small">${when}</div>
+        ${tags ? `<div class="tags">${tags}</div>` : ''}
       </div>
       <div class="actions">
-        <button class="btn" data-act="load" data-id="${s.id}" type="button">Load</button>
-        <button class="btn" data-act="link" data-id="${s.id}" type="button">Link</button>
-        <button class="btn" data-act="del" data-id="${s.id}" type="button">Delete</button>
+        <button class="btn" data-act="load" data-id="${escapeHtml(s.id)}" type="button">Load</button>
+        <button class="btn" data-act="link" data-id="${escapeHtml(s.id)}" type="button">Link</button>
+        <button class="btn" data-act="qr" data-id="${escapeHtml(s.id)}" type="button">QR</button>
+        <button class="btn" data-act="wav" data-id="${escapeHtml(s.id)}" type="button">WAV</button>
+        <details class="scene-more">
+          <summary class="btn">More</summary>
+          <div class="scene-menu">
+            <button class="btn" data-act="rename" data-id="${escapeHtml(s.id)}" type="button">Rename</button>
+            <button class="btn" data-act="tags" data-id="${escapeHtml(s.id)}" type="button">Tags</button>
+            <button class="btn" data-act="dup" data-id="${escapeHtml(s.id)}" type="button">Duplicate</button>
+            <button class="btn" data-act="update" data-id="${escapeHtml(s.id)}" type="button">Update from mix</button>
+            <button class="btn" data-act="del" data-id="${escapeHtml(s.id)}" type="button">Delete</button>
+          </div>
+        </details>
       </div>
     `;
 
@@ -527,8 +2476,97 @@ function renderScenes(){
   }
 }
 
-function escapeHtml(str){
-  return String(str)
+// Search text matches the name or a tag; `#tag` matches that tag only.
+function sceneMatches(scene, query){
+  if (query.startsWith('#')) return scene.tags.includes(query.slice(1));
+  return scene.name.toLowerCase().includes(query) || scene.tags.some(t => t.includes(query));
+}
+
+// Pinned scenes first, then the chosen order.
+function sceneOrder(sort){
+  const by = {
+    newest: (a, b) => b.createdAt - a.createdAt,
+    oldest: (a, b) => a.createdAt - b.createdAt,
+    updated: (a, b) => (b.updatedAt || b.createdAt) - (a.updatedAt || a.createdAt),
+    name: (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }),
+  }[sort] || ((a, b) => b.createdAt - a.createdAt);
+  return (a, b) => (b.pinned - a.pinned) || by(a, b);
+}
+
+function sceneLimitReached(){
+  if (state.scenes.length < MAX_SCENES) return false;
+  alert(`You have ${MAX_SCENES} scenes, the most Hushboard keeps. Delete one, or use “Update from mix” on a scene you no longer need.`);
+  return true;
+}
+
+function editScene(scene, fn){
+  fn(scene);
+  saveState(state);
+  renderScenes();
+  renderPlaylists();
+}
+
+function sceneAction(scene, act, btn){
+  if (act === 'pin') editScene(scene, s => { s.pinned = !s.pinned; });
+  if (act === 'tag'){
+    $('#sceneSearch').value = `#${btn.dataset.tag}`;
+    renderScenes();
+  }
+  if (act === 'rename'){
+    const name = prompt('Rename scene', scene.name);
+    if (!name?.trim()) return;
+    editScene(scene, s => { s.name = name.trim().slice(0, 60); });
+  }
+  if (act === 'tags'){
+    const text = prompt('Tags, separated by commas', scene.tags.join(', '));
+    if (text == null) return;
+    editScene(scene, s => { s.tags = cleanTags(text); });
+  }
+  if (act === 'dup'){
+    if (sceneLimitReached()) return;
+    const copy = { ...structuredClone(scene), id: uid(), name: `${scene.name} copy`.slice(0, 60), createdAt: nowMs(), updatedAt: 0, pinned: false };
+    state.scenes.push(copy);
+    editScene(copy, () => {});
+    toast(`Duplicated as “${copy.name}”`);
+  }
+  if (act === 'update'){
+    if (!confirm(`Replace “${scene.name}” with the current mix?`)) return;
+    editScene(scene, s => {
+      s.mix = mixSnapshot();
+      s.updatedAt = nowMs();
+    });
+    toast(`Updated “${scene.name}”`);
+  }
+  if (act === 'del'){
+    if (!confirm(`Delete “${scene.name}”?`)) return;
+    state.scenes = state.scenes.filter(s => s.id !== scene.id);
+    saveState(state);
+    renderScenes();
+    renderPlaylists();
+    toast('Deleted');
+  }
+}
+
+function renderCycleScenePickers(){
+  for (const sel of $$('select[data-cycle]')){
+    const k = sel.dataset.cycle;
+    sel.innerHTML = '<option value="">Keep current mix</option>' + state.scenes
+      .map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`)
+      .join('');
+    sel.value = state.scenes.some(s => s.id === state.cycle[k]) ? state.cycle[k] : '';
+  }
+}
+
+function applyCycleToUI(cycle){
+  for (const el of $$('input[data-cycle]')){
+    const k = el.dataset.cycle;
+    if (el.type === 'checkbox') el.checked = !!cycle[k];
+    else el.value = cycle[k];
+  }
+}
+
+function escapeHtml(str){
+  return String(str)
     .replaceAll('&','&amp;')
     .replaceAll('<','&lt;')
     .replaceAll('>','&gt;')
@@ -582,18 +2620,41 @@ function toast(msg){
   setTimeout(()=> t.remove(), 1600);
 }
 
-function resetMix(){
-  state.mix = structuredClone(DEFAULTS);
+function replaceMix(mix, { record=true, ...opts } = {}){
+  if (record) recordMix();
+  const prev = state.mix;
+  state.mix = structuredClone(mix);
   saveState(state);
   renderChannels();
   applyMixToUI(state.mix);
-  if (engine.running){
-    applyMixToAudio(state.mix);
-  }
+  if (engine.running) morphTo(prev, state.mix, opts);
+}
+
+function resetMix(){
+  replaceMix(DEFAULTS);
+  activeScene = null;
   toast('Reset');
 }
 
+// New noise and modulation for the same settings. Picking the seed is the one
+// place left that is meant to be random.
+function rerollTexture(){
+  recordMix();
+  let seed;
+  do seed = Math.floor(Math.random() * 0x10000); while (seed === state.mix.seed);
+  state.mix.seed = seed;
+  saveState(state);
+  renderSeed();
+  if (engine.running) engine.setSeed(seed);
+  toast(`Texture #${seed}`);
+}
+
+function renderSeed(){
+  $('#btnReroll').title = `Texture #${state.mix.seed}: pick a new random texture for every layer`;
+}
+
 function saveScene(){
+  if (sceneLimitReached()) return;
   const name = prompt('Scene name?', `Scene ${state.scenes.length+1}`);
   if (!name) return;
 
@@ -601,100 +2662,480 @@ function saveScene(){
     id: uid(),
     name: String(name).slice(0, 60),
     createdAt: nowMs(),
+    updatedAt: 0,
+    pinned: false,
+    tags: [],
     mix: mixSnapshot(),
   };
 
   state.scenes.push(scene);
-  state.scenes = state.scenes.slice(-50);
   saveState(state);
   renderScenes();
+  renderPlaylists();
   toast('Scene saved');
 }
 
-function loadScene(scene){
-  state.mix = structuredClone(scene.mix);
-  saveState(state);
-  renderChannels();
-  applyMixToUI(state.mix);
-  if (engine.running){
-    applyMixToAudio(state.mix);
-  }
-  toast(`Loaded: ${scene.name}`);
+function loadScene(scene, { quiet=false, seconds } = {}){
+  replaceMix(scene.mix, { seconds });
+  activeScene = { id: scene.id, name: scene.name };
+  updateMediaSession();
+  if (!quiet) toast(`Loaded: ${scene.name}`);
 }
 
 function linkForScene(scene){
-  const payload = {
-    kind: 'hushboard-shared',
-    version: 1,
-    mix: scene.mix,
-  };
-  return location.origin + location.pathname.replace(/index\.html$/,'') + encodeSceneToHash(payload);
+  return location.origin + location.pathname.replace(/index\.html$/,'') + encodeLink(scene);
+}
+
+function openQrDialog(scene){
+  const link = linkForScene(scene);
+  $('#qrWhat').textContent = scene.name || 'Current mix';
+  $('#qrLink').value = link;
+  try{
+    $('#qrCode').innerHTML = qrSvg(link);
+  } catch (err){
+    $('#qrCode').textContent = 'This scene is too large for a QR code; copy the link instead.';
+  }
+  $('#qrDialog').showModal();
 }
 
-function exportJSON(){
+function downloadBlob(blob, filename){
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportJSON(){
   const payload = {
     kind: 'hushboard-export',
     version: 1,
     exportedAt: nowMs(),
     scenes: state.scenes,
+    playlists: state.playlists,
   };
+  const hashes = loopHashes(state.scenes);
+  if (hashes.size && confirm(`Include the ${hashes.size} audio file(s) these scenes use? The export will be larger.`)){
+    payload.sounds = await packLoops(hashes).catch(() => {
+      toast('Audio files left out of the export');
+      return undefined;
+    });
+  }
 
   const blob = new Blob([JSON.stringify(payload, null, 2)], {type:'application/json'});
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `hushboard-scenes-${new Date().toISOString().slice(0,10)}.json`;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  downloadBlob(blob, `hushboard-scenes-${new Date().toISOString().slice(0,10)}.json`);
+}
+
+function slugify(str){
+  return String(str).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scene';
+}
+
+function openRenderDialog(scene){
+  if (typeof OfflineAudioContext === 'undefined'){
+    toast('Audio export is not supported in this browser');
+    return;
+  }
+  renderJob = { scene, abort: null };
+  const t = scene.mix.timer;
+  $('#renderWhat').textContent = t.endBehavior === 'fade'
+    ? `${scene.name} · ${t.fadeSeconds}s fade-out at the end`
+    : `${scene.name} · no fade-out`;
+  $('#renderMinutes').value = clamp(t.minutes, 1, RENDER_MAX_MINUTES);
+  $('#renderProgress').value = 0;
+  setRenderBusy(false);
+  renderRenderSize();
+  $('#renderDialog').showModal();
+}
+
+function renderSettings(){
+  return {
+    minutes: clamp(Math.round(+$('#renderMinutes').value) || 25, 1, RENDER_MAX_MINUTES),
+    sampleRate: +$('#renderRate').value,
+    bits: +$('#renderBits').value,
+  };
+}
+
+function renderRenderSize(){
+  const { minutes, sampleRate, bits } = renderSettings();
+  $('#renderSize').textContent = `About ${Math.ceil(renderBytes(minutes, sampleRate, bits) / 1024 / 1024)} MB`;
+}
+
+function setRenderBusy(busy){
+  $('#btnRenderGo').disabled = busy;
+  $$('#renderDialog input, #renderDialog select').forEach(x => { x.disabled = busy; });
+  $('#btnRenderCancel').textContent = busy ? 'Cancel render' : 'Close';
+}
+
+async function runRender(){
+  if (!renderJob || renderJob.abort) return;
+  const job = renderJob;
+  const { minutes, sampleRate, bits } = renderSettings();
+  const bytes = renderBytes(minutes, sampleRate, bits);
+  if (bytes > RENDER_WARN_BYTES && !confirm(`This file will be about ${Math.ceil(bytes / 1024 / 1024)} MB, and the browser holds all of it in memory until it is saved. Render anyway?`)) return;
+  job.abort = new AbortController();
+  setRenderBusy(true);
+
+  try{
+    const blob = await renderMixToWav(job.scene.mix, {
+      minutes,
+      sampleRate,
+      bits,
+      signal: job.abort.signal,
+      onProgress: (p) => { $('#renderProgress').value = p; },
+    });
+    downloadBlob(blob, `hushboard-${slugify(job.scene.name)}-${minutes}m.wav`);
+    $('#renderDialog').close();
+    toast('Audio exported');
+  } catch (err){
+    if (err.name === 'AbortError') toast('Render cancelled');
+    else toast('Render failed');
+  } finally {
+    job.abort = null;
+    if (renderJob === job) setRenderBusy(false);
+  }
 }
 
 async function importJSON(file){
-  const text = await file.text();
-  const payload = safeParse(text, null);
-  if (!payload || payload.kind !== 'hushboard-export' || !Array.isArray(payload.scenes)){
-    alert('Not a valid Hushboard export JSON.');
+  openImport(await file.text());
+}
+
+// Export files, single scene files and permalinks all import the same way.
+function parseImport(text){
+  const trimmed = String(text).trim();
+  if (/#[sz]=/.test(trimmed)){
+    const shared = validateShared(decodeSceneHash(trimmed));
+    if (!shared) return null;
+    const scene = {
+      id: uid(), name: shared.name || 'Shared scene', createdAt: nowMs(),
+      updatedAt: 0, pinned: false, tags: [], mix: shared.mix,
+    };
+    return { scenes: [scene], playlists: [], sounds: [], errors: shared.errors };
+  }
+  const payload = safeParse(trimmed, null);
+  const exported = validateExport(payload);
+  if (exported) return exported;
+  const { scene, errors } = validateScene(payload);
+  return scene ? { scenes: [scene], playlists: [], sounds: [], errors } : null;
+}
+
+// Same sound regardless of scene or channel ids.
+function mixKey(mix){
+  const { mix: clean } = validateMix(mix);
+  return JSON.stringify({ ...clean, channels: clean.channels.map(({ id, ...ch }) => ch) });
+}
+
+const IMPORT_ACTIONS = {
+  new: { add: 'Import', skip: 'Skip' },
+  changed: { keep: 'Keep mine', replace: 'Replace mine', copy: 'Import as copy' },
+  duplicate: { skip: 'Skip', copy: 'Import as copy' },
+};
+
+function playlistKey(pl){
+  return JSON.stringify({ shuffle: pl.shuffle, loop: pl.loop, steps: pl.steps });
+}
+
+// Each incoming scene or playlist is new, changed (same id, different
+// content here) or a duplicate of one that is already saved or earlier in
+// the file.
+function importRows(kind, items, saved, keyOf){
+  const keys = new Map(saved.map(x => [keyOf(x), x]));
+  return items.map(item => {
+    const key = keyOf(item);
+    const mine = saved.find(x => x.id === item.id);
+    const twin = keys.get(key);
+    let row;
+    if (mine && mine.name === item.name && keyOf(mine) === key) row = { status: 'duplicate', match: mine };
+    else if (mine) row = { status: 'changed', match: mine };
+    else if (twin) row = { status: 'duplicate', match: twin };
+    else row = { status: 'new', match: null };
+    if (!keys.has(key)) keys.set(key, item);
+    return { ...row, kind, item, name: item.name };
+  });
+}
+
+function openImport(text){
+  const result = parseImport(text);
+  if (!result || !result.scenes.length && !result.playlists.length){
+    alert('Nothing to import: expected a Hushboard export, a scene file or a scene link.');
     return;
   }
-  const incoming = payload.scenes
-    .filter(s => s && s.id && s.mix)
-    .map(s => ({...s, id: String(s.id)}));
+  const rows = [
+    ...importRows('scene', result.scenes, state.scenes, s => mixKey(s.mix)),
+    ...importRows('playlist', result.playlists, state.playlists, playlistKey),
+  ];
+  importJob = { result, rows };
+  setImportDefaults();
+  renderImport();
+  $('#importDialog').showModal();
+}
+
+function setImportDefaults(){
+  for (const row of importJob.rows){
+    row.action = { new: 'add', changed: 'keep', duplicate: 'skip' }[row.status];
+    row.name = row.status === 'new' ? row.item.name : `${row.item.name} (imported)`.slice(0, 60);
+  }
+  setImportDedupe($('#importDedupe').checked);
+}
+
+function setImportDedupe(on){
+  for (const row of importJob.rows){
+    if (row.status === 'duplicate') row.action = on ? 'skip' : 'copy';
+  }
+}
+
+function renderImport(){
+  const { result, rows } = importJob;
+  const count = (st) => rows.filter(r => r.status === st).length;
+  $('#importSummary').textContent =
+    `${count('new')} new · ${count('changed')} changed · ${count('duplicate')} duplicate${repairNote(result.errors)}`;
+  $('#importRows').innerHTML = rows.map((row, i) => {
+    const opts = Object.entries(IMPORT_ACTIONS[row.status])
+      .map(([v, label]) => `<option value="${v}" ${row.action === v ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    const same = row.kind === 'playlist' ? 'Same steps as playlist' : 'Same mix as';
+    const note = row.match
+      ? `<span class="tiny">${row.status === 'changed' ? 'Differs from' : same} “${escapeHtml(row.match.name)}”</span>`
+      : row.kind === 'playlist' ? '<span class="tiny">Playlist</span>' : '';
+    return `
+      <div class="import-row" data-i="${i}">
+        <span class="import-status" data-status="${row.status}">${row.status}</span>
+        <input class="select" data-k="name" type="text" maxlength="60" value="${escapeHtml(row.name)}" aria-label="${row.kind === 'playlist' ? 'Playlist name' : 'Scene name'}" ${['add', 'copy'].includes(row.action) ? '' : 'disabled'} />
+        <select class="select" data-k="action" aria-label="Action">${opts}</select>
+        ${note}
+      </div>
+    `;
+  }).join('');
+}
+
+async function applyImport(){
+  const { result, rows } = importJob;
+  importJob = null;
+  $('#importDialog').close();
+
+  const remap = new Map(); // incoming scene id → id it ends up as here
+  const added = [];
+  let replaced = 0;
+  let full = 0;
+  for (const row of rows){
+    if (row.kind !== 'scene') continue;
+    const scene = row.item;
+    if (row.action === 'skip' || row.action === 'keep'){
+      if (row.match) remap.set(scene.id, remap.get(row.match.id) ?? row.match.id);
+      continue;
+    }
+    if (row.action === 'replace'){
+      const i = state.scenes.findIndex(s => s.id === scene.id);
+      state.scenes[i] = { ...scene, pinned: state.scenes[i].pinned };
+      added.push(scene);
+      replaced++;
+      continue;
+    }
+    if (state.scenes.length >= MAX_SCENES){
+      full++;
+      continue;
+    }
+    const taken = row.action === 'copy' || state.scenes.some(s => s.id === scene.id);
+    const copy = { ...scene, id: taken ? uid() : scene.id, name: row.name.trim().slice(0, 60) || scene.name };
+    remap.set(scene.id, copy.id);
+    state.scenes.push(copy);
+    added.push(copy);
+  }
 
-  const byId = new Map(state.scenes.map(s => [s.id, s]));
-  for (const s of incoming) byId.set(s.id, s);
+  let lists = 0;
+  for (const row of rows){
+    if (row.kind !== 'playlist' || row.action === 'skip' || row.action === 'keep') continue;
+    const pl = { ...row.item, steps: row.item.steps.map(st => ({ ...st, sceneId: remap.get(st.sceneId) ?? st.sceneId })) };
+    lists++;
+    if (row.action === 'replace'){
+      const i = state.playlists.findIndex(p => p.id === pl.id);
+      state.playlists[i] = pl;
+      replaced++;
+      continue;
+    }
+    const taken = row.action === 'copy' || state.playlists.some(p => p.id === pl.id);
+    state.playlists.push({ ...pl, id: taken ? uid() : pl.id, name: row.name.trim().slice(0, 60) || pl.name });
+  }
+  state.playlists = state.playlists.slice(-MAX_PLAYLISTS);
 
-  state.scenes = [...byId.values()].sort((a,b)=>a.createdAt-b.createdAt).slice(-50);
   saveState(state);
   renderScenes();
-  toast(`Imported ${incoming.length} scene(s)`);
+  renderPlaylists();
+  const extra = lists ? ` and ${lists} playlist(s)` : '';
+  const note = replaced ? ` (${replaced} replaced)` : '';
+  toast(`Imported ${added.length} scene(s)${note}${extra}`);
+  if (full) alert(`${full} scene(s) were not imported: you already have ${MAX_SCENES} scenes, the most Hushboard keeps. Delete some and import again.`);
+  await importSounds(result.sounds, added);
+}
+
+function importRowInput(e){
+  const row = importJob?.rows[e.target.closest('[data-i]')?.dataset.i];
+  if (!row) return;
+  if (e.target.dataset.k === 'name') row.name = e.target.value;
+  if (e.target.dataset.k === 'action'){
+    row.action = e.target.value;
+    renderImport();
+  }
+}
+
+// Bundled audio is checked against its hash before it's stored; anything
+// the scenes need that is still absent gets reported.
+async function importSounds(sounds, scenes){
+  let bad = 0;
+  for (const entry of sounds){
+    try{
+      await unpackLoop(entry);
+    } catch {
+      bad++;
+    }
+  }
+  await refreshLoops();
+  if (engine.running) engine.reloadLoops();
+  const have = new Set(loopLibrary.map(l => l.hash));
+  const missing = [...loopHashes(scenes)].filter(h => !have.has(h)).length;
+  if (bad || missing){
+    alert([
+      bad ? `${bad} bundled audio file(s) were damaged and skipped.` : '',
+      missing ? `${missing} audio file(s) used by these scenes aren’t in this browser. Those layers stay silent until you choose the file on the layer.` : '',
+    ].filter(Boolean).join('\n'));
+  }
+}
+
+function buildPhases(cycle, focusMinutes){
+  const phases = [];
+  for (let round = 1; round <= cycle.rounds; round++){
+    phases.push({ kind: 'focus', round, minutes: focusMinutes, sceneId: cycle.focusScene });
+    if (round < cycle.rounds){
+      phases.push({ kind: 'short', round, minutes: cycle.shortMinutes, sceneId: cycle.shortScene });
+    } else if (cycle.longMinutes > 0){
+      phases.push({ kind: 'long', round, minutes: cycle.longMinutes, sceneId: cycle.longScene });
+    }
+  }
+  return phases;
 }
 
 function startTimer(minutes){
+  if (timer.running) logPhase('stopped');
   const mins = clamp(+minutes || 25, 1, 240);
-  const ms = mins * 60 * 1000;
+  timer.phases = state.cycle.enabled
+    ? buildPhases(state.cycle, mins)
+    : [{ kind: 'session', round: 1, minutes: mins, sceneId: '' }];
   timer.running = true;
-  timer.endAt = nowMs() + ms;
+  timer.owner = TAB_ID;
+  timer.endBehavior = state.mix.timer.endBehavior;
+  timer.fadeSeconds = clamp(+state.mix.timer.fadeSeconds || 0, 0, 120);
 
-  tickTimer();
   if (timer.tick) clearInterval(timer.tick);
   timer.tick = setInterval(tickTimer, 250);
+  enterPhase(0);
+}
+
+function enterPhase(index, startedAt=nowMs()){
+  const phase = timer.phases[index];
+  timer.phaseIndex = index;
+  timer.total = phase.minutes * 60 * 1000;
+  timer.phaseStartedAt = startedAt;
+  timer.endAt = timer.phaseStartedAt + timer.total;
+  timer.warned = false;
+  playCue(phase.kind === 'focus' || phase.kind === 'session' ? 'start' : 'end');
+
+  const scene = phase.sceneId && state.scenes.find(s => s.id === phase.sceneId);
+  if (scene) loadScene(scene, { quiet: true, seconds: state.cycle.transitionSeconds });
 
-  $('#timerMeta').textContent = `Ends at ${new Date(timer.endAt).toLocaleTimeString()}`;
+  renderTimerMeta();
+  publishTimer();
+  tickTimer();
+}
+
+function renderTimerMeta(){
+  updateMediaSession();
+  const phase = timer.running && timer.phases[timer.phaseIndex];
+  $('#btnSkipPhase').disabled = !phase;
+  $('#btnExtend').disabled = !phase;
+  if (!phase){
+    $('#timerPhase').textContent = '';
+    $('#timerMeta').textContent = 'No timer running';
+    return;
+  }
+  const rounds = timer.phases.at(-1).round;
+  $('#timerPhase').textContent = phase.kind === 'session'
+    ? PHASE_LABELS.session
+    : `${PHASE_LABELS[phase.kind]} · round ${phase.round}/${rounds}`;
+  const where = timer.owner === TAB_ID ? '' : ' · in another tab';
+  $('#timerMeta').textContent = `Ends at ${new Date(timer.endAt).toLocaleTimeString()}${where}`;
+}
+
+async function finishPhase(outcome='finished'){
+  if (!timer.running) return;
+  logPhase(outcome);
+  let next = timer.phaseIndex + 1;
+  let at = outcome === 'finished' ? timer.endAt : nowMs();
+
+  // Phases that also ran out while the tab was throttled, the device asleep
+  // or the page closed: log them as if they had ended on time.
+  while (next < timer.phases.length && at + timer.phases[next].minutes * 60 * 1000 <= nowMs()){
+    timer.phaseIndex = next;
+    timer.phaseStartedAt = at;
+    timer.endAt = at + timer.phases[next].minutes * 60 * 1000;
+    logPhase('finished');
+    at = timer.endAt;
+    next++;
+  }
+
+  if (next < timer.phases.length){
+    const msg = `${PHASE_LABELS[timer.phases[timer.phaseIndex].kind]} done — ${PHASE_LABELS[timer.phases[next].kind]}`;
+    toast(msg);
+    if (outcome === 'finished') notify(msg, `Ends at ${new Date(at + timer.phases[next].minutes * 60 * 1000).toLocaleTimeString()}`);
+    enterPhase(next, at);
+    return;
+  }
+  await finishTimer();
+}
+
+function skipPhase(){
+  if (!timer.running || timerCommand('skip')) return;
+  finishPhase('skipped');
+}
+
+function extendPhase(minutes){
+  if (!timer.running || timerCommand('extend', minutes)) return;
+  const ms = minutes * 60 * 1000;
+  timer.endAt += ms;
+  timer.total += ms;
+  timer.warned = false;
+  renderTimerMeta();
+  publishTimer();
+  tickTimer();
+  toast(`+${minutes} min`);
 }
 
 async function finishTimer(){
+  const behavior = timer.endBehavior;
+  const fade = timer.fadeSeconds;
   stopTimer(false);
+  const cue = playCue('end');
+  notify('Session ended', 'Time for a break.');
 
-  const behavior = state.mix.timer.endBehavior;
-  const fade = clamp(+state.mix.timer.fadeSeconds || 0, 0, 120);
+  // The audio may be playing in another tab; let that one fade or stop.
+  if (!engine.running && audioLeader){
+    postTab({ type: 'timer-end', to: audioLeader, behavior, fade });
+    toast('Session ended');
+    return;
+  }
+  await endSession(behavior, fade, cue);
+}
 
+// `cue`: seconds left of the end cue, which stopping the audio would cut off.
+async function endSession(behavior, fade, cue=0){
   if (behavior === 'fade' && engine.running){
+    settleMorph();
     await engine.fadeToSilent(fade);
     toast('Session ended (faded)');
   } else if (behavior === 'pause'){
-    await engine.stop();
-    setPowerUI(false);
+    if (cue && engine.running) await new Promise(r => setTimeout(r, cue * 1000));
+    await powerOff();
     toast('Session ended (stopped)');
   } else {
     toast('Session ended');
@@ -702,33 +3143,741 @@ async function finishTimer(){
 }
 
 function stopTimer(showToast=true){
+  if (timer.running && timer.owner === TAB_ID){
+    localStorage.removeItem(TIMER_KEY);
+    postTab({ type: 'timer', timer: null });
+  }
   timer.running = false;
+  timer.owner = null;
   timer.endAt = 0;
+  timer.phases = [];
+  timer.phaseIndex = 0;
   if (timer.tick) clearInterval(timer.tick);
   timer.tick = null;
   $('#timerReadout').textContent = '—:—';
-  $('#timerMeta').textContent = 'No timer running';
+  syncBeatRamp();
+  renderTimerMeta();
   if (showToast) toast('Timer stopped');
 }
 
+// Beat ramps follow the current timer phase, mapped onto the audio clock.
+function syncBeatRamp(){
+  if (!engine.running) return;
+  const t0 = engine.ctx.currentTime - nowMs() / 1000;
+  engine.setSpan(timer.running ? { start: t0 + timer.phaseStartedAt / 1000, end: t0 + timer.endAt / 1000 } : null);
+}
+
 function tickTimer(){
   if (!timer.running) return;
+  syncBeatRamp();
   const left = timer.endAt - nowMs();
   if (left <= 0){
     $('#timerReadout').textContent = '00:00';
-    finishTimer();
+    if (timer.owner === TAB_ID) finishPhase();
     return;
   }
   $('#timerReadout').textContent = fmtTime(left);
+  if (timer.owner === TAB_ID) warnIfDue(left);
 
   // UX: subtle “ritual” — shift accent near the end.
-  const total = (clamp(+$('#timerMinutes').value || 25,1,240))*60*1000;
-  const p = clamp(1 - (left/total), 0, 1);
+  const p = clamp(1 - (left/timer.total), 0, 1);
   document.documentElement.style.setProperty('--grid', `rgba(124,194,255,${0.06 + p*0.10})`);
 }
 
+// -------------------- Alerts --------------------
+// Play a cue melody into `bus`; returns the seconds until it has rung out.
+function ringCue(bus, kind, vol){
+  const ctx = bus.context;
+  bus.gain.setValueAtTime(clamp(vol, 0, 1), ctx.currentTime);
+  const notes = CUE_NOTES[kind] || CUE_NOTES.warn;
+  const t0 = ctx.currentTime + 0.02;
+  notes.forEach((freq, i) => {
+    const at = t0 + i * 0.18;
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(0.0001, at);
+    g.gain.exponentialRampToValueAtTime(0.5, at + 0.01);
+    g.gain.exponentialRampToValueAtTime(0.0001, at + CUE_RING_SECONDS);
+    g.connect(bus);
+
+    // Fundamental plus a quieter inharmonic partial for a bell-ish tone.
+    for (const [mult, level] of [[1, 1], [2.76, 0.25]]){
+      const osc = ctx.createOscillator();
+      const lvl = ctx.createGain();
+      osc.type = 'sine';
+      osc.frequency.value = freq * mult;
+      lvl.gain.value = level;
+      osc.connect(lvl);
+      lvl.connect(g);
+      osc.start(at);
+      osc.stop(at + 1.25);
+    }
+  });
+  return 0.02 + (notes.length - 1) * 0.18 + CUE_RING_SECONDS;
+}
+
+// With the mix switched off, cues go through one small context of their own.
+// It is created from a click (Start, the alert settings) so the browser lets
+// it play when a phase ends later on.
+let cueBus = null;
+
+function unlockCues(){
+  if (cueBus){
+    cueBus.context.resume?.();
+    return;
+  }
+  try{
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    cueBus = ctx.createGain();
+    cueBus.connect(ctx.destination);
+  } catch {}
+}
+
+// Returns the seconds until the cue is over (0 if none played).
+function playCue(kind){
+  if (!state.alerts.cues) return 0;
+  try{
+    if (engine.running) return engine.playCue(kind, state.alerts.cueVolume);
+    if (!cueBus) return 0;
+    cueBus.context.resume?.();
+    return ringCue(cueBus, kind, state.alerts.cueVolume);
+  } catch {
+    return 0;
+  }
+}
+
+function warnIfDue(left){
+  const ms = state.alerts.warnMinutes * 60 * 1000;
+  if (!ms || timer.warned || left > ms || timer.total <= ms) return;
+  timer.warned = true;
+  const phase = timer.phases[timer.phaseIndex];
+  const msg = `${PHASE_LABELS[phase.kind]} ends in ${Math.ceil(left / 60000)} min`;
+  playCue('warn');
+  toast(msg);
+  notify(msg, `Ends at ${new Date(timer.endAt).toLocaleTimeString()}`);
+}
+
+async function notify(title, body){
+  if (!state.alerts.notify || !('Notification' in window) || Notification.permission !== 'granted') return;
+  const opts = { body, tag: 'hushboard-timer', icon: 'icon-192.png' };
+  try{
+    // Some platforms only allow notifications from the service worker.
+    const reg = await navigator.serviceWorker?.getRegistration();
+    if (reg) await reg.showNotification(title, opts);
+    else new Notification(title, opts);
+  } catch {}
+}
+
+// Hearing safety: a nudge after every `listenMinutes` of continuous audio.
+let listenSince = 0;
+
+function checkListening(){
+  if (!engine.running){
+    listenSince = 0;
+    return;
+  }
+  if (!listenSince) listenSince = nowMs();
+  const mins = state.alerts.listenMinutes;
+  if (!mins || nowMs() - listenSince < mins * 60 * 1000) return;
+  listenSince = nowMs();
+  const msg = `Listening for ${mins} min — rest your ears or turn it down a little.`;
+  toast(msg);
+  notify('Time for an ear break', msg);
+}
+
+function applyAlertsToUI(alerts){
+  for (const el of $$('input[data-alert]')){
+    const k = el.dataset.alert;
+    if (el.type === 'checkbox') el.checked = !!alerts[k];
+    else el.value = alerts[k];
+  }
+}
+
+async function setAlert(el){
+  const k = el.dataset.alert;
+  const field = ALERTS_SCHEMA.fields[k];
+  if (!field) return;
+  let value = coerce(field, el.type === 'checkbox' ? el.checked : el.value);
+
+  if (k === 'notify' && value){
+    const perm = 'Notification' in window ? await Notification.requestPermission() : 'denied';
+    if (perm !== 'granted'){
+      value = false;
+      toast('Notifications are blocked for this site');
+    }
+  }
+  state.alerts[k] = value;
+  applyAlertsToUI(state.alerts);
+  saveState(state);
+  if (k === 'cueVolume' || (k === 'cues' && value)){
+    unlockCues();
+    playCue('start');
+  }
+}
+
+// -------------------- Playlists & schedule --------------------
+// Playlists step through saved scenes for a set number of minutes each. The
+// daily schedule loads a scene when a time slot begins; it stays out of the
+// way while a playlist runs or while another tab is playing the audio.
+let playlistRun = null; // { id, order, pos, endAt } while a playlist plays
+let scheduleSlot = null; // key of the schedule slot last applied
+const openPlaylists = new Set(); // playlist ids whose step editor is open
+
+function sceneName(id){
+  return state.scenes.find(s => s.id === id)?.name;
+}
+
+function playlistOrder(pl){
+  const order = pl.steps.map((_, i) => i);
+  if (pl.shuffle){
+    for (let i = order.length - 1; i > 0; i--){
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  }
+  return order;
+}
+
+function playPlaylist(id){
+  const pl = state.playlists.find(p => p.id === id);
+  if (!pl?.steps.some(st => sceneName(st.sceneId))){
+    toast('Add a saved scene to this playlist first');
+    return;
+  }
+  playlistRun = { id, order: playlistOrder(pl), pos: -1, endAt: 0 };
+  nextPlaylistStep();
+}
+
+function nextPlaylistStep(){
+  const run = playlistRun;
+  const pl = run && state.playlists.find(p => p.id === run.id);
+  if (!pl){
+    stopPlaylist();
+    return;
+  }
+  // Steps whose scene has been deleted are skipped.
+  for (let tries = 0; tries <= run.order.length; tries++){
+    run.pos++;
+    if (run.pos >= run.order.length){
+      if (!pl.loop){
+        stopPlaylist();
+        toast(`Playlist finished: ${pl.name}`);
+        return;
+      }
+      run.order = playlistOrder(pl);
+      run.pos = 0;
+    }
+    const step = pl.steps[run.order[run.pos]];
+    const scene = step && state.scenes.find(s => s.id === step.sceneId);
+    if (!scene) continue;
+    run.endAt = nowMs() + step.minutes * 60 * 1000;
+    loadScene(scene, { quiet: true });
+    toast(`${pl.name}: ${scene.name}`);
+    renderPlaylists();
+    return;
+  }
+  stopPlaylist();
+}
+
+function stopPlaylist(){
+  playlistRun = null;
+  renderPlaylists();
+}
+
+function clockToMinutes(str){
+  const [h, m] = String(str).split(':').map(Number);
+  return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : undefined;
+}
+
+function minutesToClock(min){
+  return `${String(Math.floor(min / 60)).padStart(2, '0')}:${String(min % 60).padStart(2, '0')}`;
+}
+
+function slotActive(slot, minute){
+  if (slot.start === slot.end) return false;
+  return slot.start < slot.end
+    ? minute >= slot.start && minute < slot.end
+    : minute >= slot.start || minute < slot.end;
+}
+
+function checkSchedule(){
+  if (!state.schedule.enabled){
+    scheduleSlot = null;
+    return;
+  }
+  if (playlistRun || audioLeader) return;
+  const d = new Date();
+  const minute = d.getHours() * 60 + d.getMinutes();
+  const i = state.schedule.slots.findIndex(slot => slotActive(slot, minute));
+  const slot = state.schedule.slots[i];
+  const key = slot ? `${i}:${slot.start}:${slot.sceneId}` : null;
+  if (key === scheduleSlot) return;
+  scheduleSlot = key;
+  const scene = slot && state.scenes.find(s => s.id === slot.sceneId);
+  if (scene && activeScene?.id !== scene.id){
+    loadScene(scene, { quiet: true });
+    toast(`Schedule: ${scene.name}`);
+  }
+}
+
+function tickPlans(){
+  if (playlistRun && nowMs() >= playlistRun.endAt) nextPlaylistStep();
+  checkSchedule();
+  renderPlaylistNow();
+}
+
+function sceneOptions(selected){
+  const known = state.scenes.some(s => s.id === selected);
+  return (known ? '' : '<option value="" selected>(missing scene)</option>') + state.scenes
+    .map(s => `<option value="${escapeHtml(s.id)}" ${s.id === selected ? 'selected' : ''}>${escapeHtml(s.name)}</option>`)
+    .join('');
+}
+
+function renderPlaylistNow(){
+  const run = playlistRun;
+  const pl = run && state.playlists.find(p => p.id === run.id);
+  const step = pl?.steps[run.order[run.pos]];
+  $('#playlistNow').textContent = step
+    ? `Playing ${pl.name} · ${sceneName(step.sceneId) || '—'} · next in ${fmtTime(Math.max(0, run.endAt - nowMs()))}`
+    : '';
+}
+
+function renderPlaylists(){
+  const wrap = $('#playlists');
+  renderPlaylistNow();
+  if (!state.playlists.length){
+    wrap.innerHTML = '<div class="tiny">No playlists yet. Save a few scenes, then press “New playlist”.</div>';
+  } else {
+    wrap.innerHTML = state.playlists.map(pl => {
+      const playing = playlistRun?.id === pl.id;
+      const minutes = pl.steps.reduce((n, st) => n + st.minutes, 0);
+      const steps = pl.steps.map((st, i) => `
+        <div class="step-row" data-step="${i}">
+          <select class="select" data-sk="sceneId">${sceneOptions(st.sceneId)}</select>
+          <input class="select step-min" data-sk="minutes" type="number" min="1" max="240" step="1" value="${st.minutes}" aria-label="Minutes" />
+          <span class="tiny">min</span>
+          <button class="btn mini" data-act="del-step" type="button" aria-label="Remove step">✕</button>
+        </div>
+      `).join('');
+      return `
+        <div class="scene playlist" data-pl="${escapeHtml(pl.id)}">
+          <div class="meta">
+            <div class="name">${escapeHtml(pl.name)}</div>
+            <div class="small">${pl.steps.length} step(s) · ${minutes} min${pl.shuffle ? ' · shuffle' : ''}${pl.loop ? ' · loop' : ''}</div>
+          </div>
+          <div class="actions">
+            ${playing
+              ? '<button class="btn" data-act="next" type="button">Next</button><button class="btn primary" data-act="stop" type="button">Stop</button>'
+              : '<button class="btn" data-act="play" type="button">Play</button>'}
+            <button class="btn" data-act="rename" type="button">Rename</button>
+            <button class="btn" data-act="del" type="button">Delete</button>
+          </div>
+          <details class="playlist-steps" ${openPlaylists.has(pl.id) ? 'open' : ''}>
+            <summary>Steps</summary>
+            <div class="stack">
+              ${steps}
+              <div class="row">
+                <button class="btn mini" data-act="add-step" type="button">+ Step</button>
+                <label class="switch"><input data-pk="shuffle" type="checkbox" ${pl.shuffle ? 'checked' : ''} /><span>Shuffle</span></label>
+                <label class="switch"><input data-pk="loop" type="checkbox" ${pl.loop ? 'checked' : ''} /><span>Loop</span></label>
+              </div>
+            </div>
+          </details>
+        </div>
+      `;
+    }).join('');
+  }
+  renderSchedule();
+}
+
+function renderSchedule(){
+  $('#scheduleEnabled').checked = state.schedule.enabled;
+  $('#scheduleSlots').innerHTML = state.schedule.slots.map((slot, i) => `
+    <div class="step-row" data-slot="${i}">
+      <input class="select" data-sk="start" type="time" value="${minutesToClock(slot.start)}" aria-label="From" />
+      <span class="tiny">to</span>
+      <input class="select" data-sk="end" type="time" value="${minutesToClock(slot.end)}" aria-label="Until" />
+      <select class="select" data-sk="sceneId">${sceneOptions(slot.sceneId)}</select>
+      <button class="btn mini" data-act="del-slot" type="button" aria-label="Remove slot">✕</button>
+    </div>
+  `).join('') || '<div class="tiny">No time slots.</div>';
+}
+
+function newPlaylist(){
+  if (!state.scenes.length){
+    toast('Save a scene first');
+    return;
+  }
+  if (state.playlists.length >= MAX_PLAYLISTS){
+    toast(`Playlist limit reached (${MAX_PLAYLISTS})`);
+    return;
+  }
+  const name = prompt('Playlist name?', `Playlist ${state.playlists.length + 1}`);
+  if (!name) return;
+  const pl = {
+    id: uid(),
+    ...coerce(PLAYLIST_SCHEMA, { name: String(name) }),
+    steps: state.scenes.slice(-3).map(s => ({ sceneId: s.id, minutes: 20 })),
+  };
+  state.playlists.push(pl);
+  openPlaylists.add(pl.id);
+  saveState(state);
+  renderPlaylists();
+}
+
+function playlistAction(id, act, stepIndex){
+  const pl = state.playlists.find(p => p.id === id);
+  if (!pl) return;
+  if (act === 'play') return playPlaylist(id);
+  if (act === 'next') return nextPlaylistStep();
+  if (act === 'stop') return stopPlaylist();
+  if (act === 'rename'){
+    const name = prompt('Playlist name?', pl.name);
+    if (!name) return;
+    pl.name = coerce(PLAYLIST_SCHEMA.fields.name, name);
+  }
+  if (act === 'del'){
+    if (!confirm(`Delete playlist “${pl.name}”?`)) return;
+    if (playlistRun?.id === id) playlistRun = null;
+    state.playlists = state.playlists.filter(p => p.id !== id);
+  }
+  if (act === 'add-step'){
+    if (pl.steps.length >= MAX_PLAYLIST_STEPS) return toast(`Step limit reached (${MAX_PLAYLIST_STEPS})`);
+    pl.steps.push({ sceneId: pl.steps.at(-1)?.sceneId || state.scenes[0]?.id || '', minutes: 20 });
+  }
+  if (act === 'del-step') pl.steps.splice(stepIndex, 1);
+  saveState(state);
+  renderPlaylists();
+}
+
+// -------------------- Session log --------------------
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function logPhase(outcome){
+  const phase = timer.phases[timer.phaseIndex];
+  if (!phase || !timer.phaseStartedAt) return;
+  const end = outcome === 'finished' ? Math.min(nowMs(), timer.endAt) : nowMs();
+  sessionLog.push({
+    startedAt: timer.phaseStartedAt,
+    plannedMs: phase.minutes * 60 * 1000,
+    actualMs: Math.max(0, end - timer.phaseStartedAt),
+    outcome,
+    phase: phase.kind,
+    scene: activeScene?.name || '',
+    channels: state.mix.channels.filter(ch => ch.on).map(ch => channelLabel(state.mix, ch)).join(', '),
+  });
+  sessionLog = sessionLog.slice(-LOG_LIMIT);
+  timer.phaseStartedAt = 0;
+  saveLog(sessionLog);
+  renderHistory();
+}
+
+function isFocusEntry(e){ return e.phase === 'session' || e.phase === 'focus'; }
+
+function startOfDay(ms){
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+function fmtDuration(ms){
+  const m = Math.round(ms / 60000);
+  if (m < 60) return `${m}m`;
+  return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2,'0')}m`;
+}
+
+function logStats(log, now=nowMs()){
+  const today = startOfDay(now);
+  const focus = log.filter(isFocusEntry);
+  const days = new Map(); // day start → focus ms
+  for (const e of focus){
+    const day = startOfDay(e.startedAt);
+    days.set(day, (days.get(day) || 0) + e.actualMs);
+  }
+
+  const week = [];
+  for (let i = 6; i >= 0; i--){
+    const day = startOfDay(today - i * DAY_MS + DAY_MS / 2); // DST-safe step
+    week.push({ day, ms: days.get(day) || 0 });
+  }
+
+  // A streak counts back from today, or from yesterday if today is still empty.
+  let streak = 0;
+  let day = days.get(today) >= 60000 ? today : startOfDay(today - DAY_MS / 2);
+  while ((days.get(day) || 0) >= 60000){
+    streak++;
+    day = startOfDay(day - DAY_MS / 2);
+  }
+
+  const scenes = new Map();
+  for (const e of focus){
+    const name = e.scene || 'Custom mix';
+    scenes.set(name, (scenes.get(name) || 0) + e.actualMs);
+  }
+  const topScenes = [...scenes].sort((a, b) => b[1] - a[1]).slice(0, 5);
+
+  return {
+    todayMs: days.get(today) || 0,
+    weekMs: week.reduce((sum, d) => sum + d.ms, 0),
+    week,
+    streak,
+    sessions: focus.filter(e => e.outcome === 'finished').length,
+    topScenes,
+  };
+}
+
+function renderHistory(){
+  const wrap = $('#history');
+  if (!sessionLog.length){
+    wrap.innerHTML = '<div class="tiny">No sessions yet. Start the timer and your focus time shows up here.</div>';
+    return;
+  }
+
+  const st = logStats(sessionLog);
+  const peak = Math.max(...st.week.map(d => d.ms), 1);
+  const bars = st.week.map(d => `
+    <div class="bar" title="${new Date(d.day).toLocaleDateString()} · ${fmtDuration(d.ms)}">
+      <div class="bar-fill" style="height:${Math.round(d.ms / peak * 100)}%"></div>
+      <div class="bar-label">${new Date(d.day).toLocaleDateString(undefined, { weekday: 'narrow' })}</div>
+    </div>
+  `).join('');
+  const top = st.topScenes.map(([name, ms]) => `
+    <li><span>${escapeHtml(name)}</span><span class="small">${fmtDuration(ms)}</span></li>
+  `).join('');
+  const recent = sessionLog.slice(-5).reverse().map(e => `
+    <li>
+      <span>${PHASE_LABELS[e.phase]}${e.scene ? ` · ${escapeHtml(e.scene)}` : ''}</span>
+      <span class="small">${new Date(e.startedAt).toLocaleString()} · ${fmtDuration(e.actualMs)} · ${e.outcome}</span>
+    </li>
+  `).join('');
+
+  wrap.innerHTML = `
+    <div class="stats">
+      <div class="stat"><div class="stat-v">${fmtDuration(st.todayMs)}</div><div class="small">Today</div></div>
+      <div class="stat"><div class="stat-v">${fmtDuration(st.weekMs)}</div><div class="small">Last 7 days</div></div>
+      <div class="stat"><div class="stat-v">${st.streak}d</div><div class="small">Streak</div></div>
+      <div class="stat"><div class="stat-v">${st.sessions}</div><div class="small">Completed</div></div>
+    </div>
+    <div class="bars" aria-label="Focus time, last 7 days">${bars}</div>
+    <div class="small">Most-used scenes</div>
+    <ul class="list">${top}</ul>
+    <div class="small">Recent</div>
+    <ul class="list">${recent}</ul>
+  `;
+}
+
+function csvCell(v){
+  let str = String(v);
+  if (/^[=+\-@]/.test(str)) str = `'${str}`; // keep spreadsheets from evaluating it
+  return /[",\n]/.test(str) ? `"${str.replaceAll('"', '""')}"` : str;
+}
+
+function exportLog(format){
+  const date = new Date().toISOString().slice(0,10);
+  if (format === 'json'){
+    const payload = { kind: 'hushboard-log', version: 1, exportedAt: nowMs(), sessions: sessionLog };
+    downloadBlob(new Blob([JSON.stringify(payload, null, 2)], {type:'application/json'}), `hushboard-log-${date}.json`);
+    return;
+  }
+  const rows = [['started_at', 'phase', 'planned_min', 'actual_min', 'outcome', 'scene', 'channels']];
+  for (const e of sessionLog){
+    rows.push([
+      new Date(e.startedAt).toISOString(),
+      e.phase,
+      (e.plannedMs / 60000).toFixed(1),
+      (e.actualMs / 60000).toFixed(1),
+      e.outcome,
+      e.scene,
+      e.channels,
+    ]);
+  }
+  const csv = rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  downloadBlob(new Blob([csv], {type:'text/csv'}), `hushboard-log-${date}.csv`);
+}
+
+function clearLog(){
+  if (!sessionLog.length || !confirm('Clear the whole session history?')) return;
+  sessionLog = [];
+  saveLog(sessionLog);
+  renderHistory();
+  toast('History cleared');
+}
+
+// -------------------- Meters --------------------
+// Drawn on animation frames only while audio runs and the tab is visible.
+// A muted layer's meter is dimmed; a suspended context hatches the master.
+const METER_FLOOR_DB = -60;
+const METER_FALL_DB = 1.2; // per frame, so peaks (chimes) stay readable
+const SPECTRUM_BARS = 64;
+let meterFrame = 0;
+const meterShown = {}; // displayed dB per channel id, plus 'master'
+
+function meterFraction(db){
+  return clamp((db - METER_FLOOR_DB) / -METER_FLOOR_DB, 0, 1);
+}
+
+function showLevel(el, key, db){
+  const shown = Math.max(db, (meterShown[key] ?? METER_FLOOR_DB) - METER_FALL_DB);
+  meterShown[key] = shown;
+  el.querySelector('.meter-fill').style.transform = `scaleX(${meterFraction(shown)})`;
+}
+
+function drawMeters(){
+  meterFrame = 0;
+  if (!engine.running || document.hidden) return;
+
+  const master = $('#masterMeter');
+  const suspended = engine.ctx.state !== 'running';
+  master.dataset.state = suspended ? 'suspended' : '';
+  master.title = suspended ? 'Audio is suspended by the browser' : 'Output level';
+  showLevel(master, 'master', engine.level(engine.meter));
+
+  for (const box of $$('#channels [data-ch]')){
+    const id = box.dataset.ch;
+    const ch = state.mix.channels.find(c => c.id === id);
+    const meter = box.querySelector('.meter');
+    meter.dataset.state = ch?.on ? '' : 'muted';
+    showLevel(meter, id, engine.level(engine.nodes[id]?.meter));
+  }
+
+  if ($('#spectrumPanel').open) drawSpectrum();
+  meterFrame = requestAnimationFrame(drawMeters);
+}
+
+// Log-spaced bars from 30 Hz to Nyquist.
+function drawSpectrum(){
+  const canvas = $('#spectrum');
+  const g = canvas.getContext('2d');
+  const tap = engine.meter;
+  if (!g || !tap) return;
+  const bins = new Uint8Array(tap.frequencyBinCount);
+  tap.getByteFrequencyData(bins);
+
+  const { width, height } = canvas;
+  const nyquist = engine.ctx.sampleRate / 2;
+  const binOf = (f) => Math.min(bins.length - 1, Math.floor(f / nyquist * bins.length));
+  const w = width / SPECTRUM_BARS;
+  g.clearRect(0, 0, width, height);
+  g.fillStyle = 'rgba(124,194,255,0.75)';
+  for (let i = 0; i < SPECTRUM_BARS; i++){
+    const lo = binOf(30 * Math.pow(nyquist / 30, i / SPECTRUM_BARS));
+    const hi = Math.max(lo, binOf(30 * Math.pow(nyquist / 30, (i + 1) / SPECTRUM_BARS)));
+    let v = 0;
+    for (let b = lo; b <= hi; b++) v = Math.max(v, bins[b]);
+    const h = v / 255 * height;
+    g.fillRect(i * w + 1, height - h, w - 2, h);
+  }
+}
+
+function startMeters(){
+  if (meterFrame || !engine.running || document.hidden) return;
+  meterFrame = requestAnimationFrame(drawMeters);
+}
+
+function stopMeters(){
+  if (meterFrame) cancelAnimationFrame(meterFrame);
+  meterFrame = 0;
+  for (const k of Object.keys(meterShown)) delete meterShown[k];
+  $$('.meter-fill').forEach(el => { el.style.transform = 'scaleX(0)'; });
+  $('#masterMeter').dataset.state = '';
+  const g = $('#spectrum').getContext('2d');
+  g?.clearRect(0, 0, $('#spectrum').width, $('#spectrum').height);
+}
+
 function setPowerUI(on){
   $('#powerLabel').textContent = on ? 'Stop audio' : 'Start audio';
+  renderAudioStatus();
+}
+
+// -------------------- Playback status --------------------
+// Shown when audio is meant to be on but the context isn't producing it.
+const AUDIO_STATUS = {
+  recovering: 'Audio dropped out · reconnecting…',
+  blocked: 'Audio paused by the browser · click to resume',
+  suspended: 'Audio suspended · click to resume',
+  interrupted: 'Audio interrupted by the system',
+};
+
+function renderAudioStatus(){
+  const status = engine.status;
+  const el = $('#audioStatus');
+  el.hidden = !AUDIO_STATUS[status];
+  el.textContent = AUDIO_STATUS[status] || '';
+  el.dataset.state = status;
+  updateMediaSession();
+}
+
+// A rebuilt context starts empty: bring the mix back.
+function onEngineRebuilt(){
+  applyMixToAudio(state.mix);
+  syncBeatRamp();
+  toast('Audio restarted');
+}
+
+// -------------------- Media Session --------------------
+// OS media controls (lock screen, media keys, headset buttons). Chrome only
+// offers them while a media element plays, so a silent looping <audio>
+// runs alongside the Web Audio output.
+let mediaKeepAlive = null;
+
+function silentLoop(){
+  const rate = 8000;
+  const blob = new Blob([wavHeader(rate, 1, rate, 16), new Uint8Array(rate * 2)], { type: 'audio/wav' });
+  const el = new Audio(URL.createObjectURL(blob));
+  el.loop = true;
+  return el;
+}
+
+function updateMediaSession(){
+  const ms = navigator.mediaSession;
+  if (!ms || typeof MediaMetadata === 'undefined') return;
+  if (engine.running){
+    mediaKeepAlive ||= silentLoop();
+    mediaKeepAlive.play()?.catch(() => {});
+  } else {
+    mediaKeepAlive?.pause();
+  }
+  const phase = timer.running && timer.phases[timer.phaseIndex];
+  ms.metadata = new MediaMetadata({
+    title: activeScene?.name || 'Current mix',
+    artist: 'Hushboard',
+    album: phase ? PHASE_LABELS[phase.kind] : 'Focus mixer',
+    artwork: [
+      { src: 'icon-192.png', sizes: '192x192', type: 'image/png' },
+      { src: 'icon-512.png', sizes: '512x512', type: 'image/png' },
+    ],
+  });
+  ms.playbackState = engine.running ? 'playing' : 'paused';
+}
+
+function initMediaSession(){
+  const ms = navigator.mediaSession;
+  if (!ms) return;
+  const handlers = {
+    play: () => { if (!engine.running) togglePower(); },
+    pause: () => { if (engine.running) togglePower(); },
+    stop: () => { if (engine.running) togglePower(); },
+    nexttrack: () => stepScene(1),
+    previoustrack: () => stepScene(-1),
+  };
+  for (const [action, fn] of Object.entries(handlers)){
+    try{
+      ms.setActionHandler(action, fn);
+    } catch {
+      // not every browser knows every action
+    }
+  }
+  updateMediaSession();
+}
+
+// Next / previous saved scene in the Scenes panel order; "next" advances a
+// running playlist instead.
+function stepScene(dir){
+  if (dir > 0 && playlistRun) return nextPlaylistStep();
+  const list = [...state.scenes].sort(sceneOrder(state.sceneSort));
+  if (!list.length) return;
+  const i = list.findIndex(s => s.id === activeScene?.id);
+  const next = i < 0 ? (dir > 0 ? 0 : list.length - 1) : (i + dir + list.length) % list.length;
+  loadScene(list[next]);
 }
 
 async function togglePower(){
@@ -737,19 +3886,172 @@ async function togglePower(){
     setPowerUI(true);
     // bring nodes in sync
     applyMixToAudio(state.mix);
+    syncBeatRamp();
+    audioLeader = null;
+    postTab({ type: 'playing' });
+    renderTabBar();
+    startMeters();
     toast('Audio on');
   } else {
-    await engine.stop();
-    setPowerUI(false);
+    await powerOff();
     toast('Audio off');
   }
 }
 
+async function powerOff(){
+  stopMorph();
+  stopMeters();
+  await engine.stop();
+  setPowerUI(false);
+  postTab({ type: 'stopped' });
+}
+
+// -------------------- Tabs --------------------
+// Open tabs keep hushboard:v1 in sync through storage events and talk over a
+// BroadcastChannel: only one tab plays audio, and the tab that started the
+// timer runs it while the others mirror it and forward their button presses.
+const TAB_ID = uid();
+const tabChannel = 'BroadcastChannel' in window ? new BroadcastChannel('hushboard') : null;
+let audioLeader = null; // id of another tab that is playing audio
+
+function postTab(msg){
+  tabChannel?.postMessage({ ...msg, from: TAB_ID });
+}
+
+function timerSnapshot(){
+  const { endAt, total, phases, phaseIndex, phaseStartedAt, endBehavior, fadeSeconds, owner } = timer;
+  return { endAt, total, phases, phaseIndex, phaseStartedAt, endBehavior, fadeSeconds, owner };
+}
+
+// Forward a timer button to the tab that owns the timer. True if forwarded.
+function timerCommand(cmd, arg){
+  if (!timer.running || timer.owner === TAB_ID) return false;
+  postTab({ type: 'timer-cmd', to: timer.owner, cmd, arg });
+  return true;
+}
+
+// Owner only: save the running timer and show it in the other tabs.
+function publishTimer(){
+  localStorage.setItem(TIMER_KEY, JSON.stringify({ ...timerSnapshot(), scene: activeScene?.name || '' }));
+  postTab({ type: 'timer', timer: timerSnapshot() });
+}
+
+function mirrorTimer(remote){
+  $('#resumeBar').hidden = true;
+  Object.assign(timer, remote, { running: true });
+  if (!timer.tick) timer.tick = setInterval(tickTimer, 250);
+  renderTimerMeta();
+  tickTimer();
+}
+
+function renderTabBar(){
+  $('#tabBar').hidden = !audioLeader || engine.running;
+}
+
+async function onTabMessage(msg){
+  if (msg.to && msg.to !== TAB_ID) return;
+  switch (msg.type){
+    case 'hello':
+      postTab({ type: 'status', playing: engine.running, timer: timer.owner === TAB_ID ? timerSnapshot() : null });
+      break;
+    case 'status':
+      if (msg.playing) audioLeader = msg.from;
+      if (msg.timer) mirrorTimer(msg.timer);
+      renderTabBar();
+      break;
+    case 'playing':
+      audioLeader = msg.from;
+      if (engine.running){
+        await powerOff();
+        toast('Audio moved to another tab');
+      }
+      renderTabBar();
+      break;
+    case 'stopped':
+    case 'bye':
+      if (audioLeader === msg.from) audioLeader = null;
+      if (msg.type === 'bye' && timer.running && timer.owner === msg.from){
+        stopTimer(false);
+        offerResume();
+      }
+      renderTabBar();
+      break;
+    case 'timer':
+      if (msg.timer) mirrorTimer(msg.timer);
+      else if (timer.running && timer.owner === msg.from) stopTimer(false);
+      break;
+    case 'timer-cmd':
+      if (msg.cmd === 'skip') skipPhase();
+      if (msg.cmd === 'extend') extendPhase(msg.arg);
+      if (msg.cmd === 'stop' && timer.running){
+        logPhase('stopped');
+        stopTimer(true);
+      }
+      break;
+    case 'timer-end':
+      await endSession(msg.behavior, msg.fade);
+      break;
+  }
+}
+
+// Another tab saved; take its state as ours without writing it back.
+function adoptStoredState(raw){
+  const stored = safeParse(raw, null);
+  if (!isPlainObject(stored) || !isPlainObject(stored.mix)) return;
+  const prev = state.mix;
+  const layout = (mix) => mix.channels.map(ch => `${ch.id}:${ch.type}:${ch.sound ?? ''}`).join();
+  state = validateState(stored).state;
+
+  if (state.mix.channels.some(ch => ch.sound && !loopLibrary.some(l => l.hash === ch.sound))){
+    refreshLoops(); // the other tab may have just imported it
+  } else if (layout(prev) !== layout(state.mix)){
+    renderChannels();
+  }
+  applyMixToUI(state.mix);
+  renderScenes();
+  renderPlaylists();
+  applyCycleToUI(state.cycle);
+  applyAlertsToUI(state.alerts);
+  $('#morphSeconds').value = state.morph.seconds;
+  $('#morphCurve').value = state.morph.curve;
+  if (engine.running) morphTo(prev, state.mix, { seconds: Math.min(state.morph.seconds, 0.4) });
+}
+
+function initTabs(){
+  window.addEventListener('storage', (e) => {
+    if (e.storageArea !== localStorage || e.newValue == null) return;
+    if (e.key === STORAGE_KEY) adoptStoredState(e.newValue);
+    if (e.key === LOG_KEY){
+      sessionLog = loadLog();
+      renderHistory();
+    }
+  });
+  if (!tabChannel) return;
+  tabChannel.addEventListener('message', (e) => onTabMessage(e.data));
+  window.addEventListener('pagehide', () => postTab({ type: 'bye' }));
+  $('#btnPlayHere').addEventListener('click', togglePower);
+  postTab({ type: 'hello' });
+}
+
 function wireEvents(){
   $('#btnPower').addEventListener('click', togglePower);
   $('#btnNew').addEventListener('click', resetMix);
+  $('#btnUndo').addEventListener('click', undoMix);
+  $('#btnRedo').addEventListener('click', redoMix);
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    // Leave text fields to their own undo.
+    const t = e.target;
+    if (t.isContentEditable || t.tagName === 'TEXTAREA' || (t.tagName === 'INPUT' && !['range', 'checkbox'].includes(t.type))) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey){ e.preventDefault(); undoMix(); }
+    else if ((key === 'z' && e.shiftKey) || key === 'y'){ e.preventDefault(); redoMix(); }
+  });
 
   $('#master').addEventListener('input', (e) => {
+    settleMorph();
+    recordMix('master');
     state.mix.master = +e.target.value;
     saveState(state);
     if (engine.running) engine.setMaster(state.mix.master);
@@ -762,40 +4064,95 @@ function wireEvents(){
     const id = box.dataset.ch;
     const k = el.dataset.k;
 
-    const ch = state.mix.channels[id];
+    const ch = state.mix.channels.find(c => c.id === id);
     if (!ch) return;
+    settleMorph();
+
+    const row = el.closest('[data-mod]');
+    if (row && el.dataset.mk){
+      const key = row.dataset.mod;
+      const mk = el.dataset.mk;
+      recordMix(mk === 'shape' ? null : `${id}:mod:${key}:${mk}`);
+      ch.mod[key] = coerce(MOD_SCHEMA, { ...ch.mod[key], [mk]: el.value });
+      if (mk === 'period') row.querySelector('.mod-period').textContent = `${ch.mod[key].period}s`;
+      saveState(state);
+      if (engine.running) engine.setChannelMod(id, key, ch.mod[key]);
+      return;
+    }
+
+    if (k === 'sound'){ // setLoopSound records its own history step
+      const meta = loopLibrary.find(l => l.hash === el.value);
+      if (meta) setLoopSound(id, loopValues(meta));
+      return;
+    }
+
+    recordMix(k === 'on' ? null : `${id}:${k}`);
 
     if (k === 'on'){
       ch.on = !!el.checked;
       saveState(state);
-      if (engine.running){
+      if (engine.running && engine.nodes[id]){
         engine.nodes[id]._isOn = ch.on;
         engine.setChannelOn(id, ch.on);
       }
       return;
     }
 
-    const v = +el.value;
-    if (k === 'vol') ch.vol = v;
-    if (k === 'tone') ch.tone = v;
-    if (k === 'beat') ch.beat = v;
-    if (k === 'rate') ch.rate = v;
-
+    const def = CHANNEL_TYPES[ch.type];
+    if (!def?.params[k]) return;
+    ch[k] = coerce(channelSchema(ch.type).fields[k], el.value);
     saveState(state);
 
     if (engine.running){
       if (k === 'vol') engine.setChannelVol(id, ch.vol);
-      if (k === 'tone') engine.setChannelTone(id, ch.tone);
-      if (k === 'beat') engine.setBinauralBeat(id, ch.beat);
-      if (k === 'rate') engine.setChimeRate(id, ch.rate);
+      else def.set[k]?.(engine, id, ch[k]);
     }
   });
 
+  $('#busFields').addEventListener('input', (e) => {
+    const el = e.target;
+    const k = el.dataset.bus;
+    const field = BUS_SCHEMA.fields[k];
+    if (!field) return;
+    settleMorph();
+    recordMix(el.type === 'checkbox' ? null : `bus:${k}`);
+    state.mix.bus[k] = coerce(field, el.type === 'checkbox' ? el.checked : el.value);
+    renderBusReadouts(state.mix.bus);
+    saveState(state);
+    if (engine.running) engine.setBus(state.mix.bus);
+  });
+  $('#busFields').addEventListener('change', (e) => {
+    if (e.target.dataset.alert) setAlert(e.target);
+    else endGesture();
+  });
+
+  $('#channels').addEventListener('change', endGesture);
+  $('#master').addEventListener('change', endGesture);
+
+  $('#channels').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-act]');
+    const box = btn?.closest('[data-ch]');
+    if (!box) return;
+    if (btn.dataset.act === 'loop-file') pickLoopFile(box.dataset.ch);
+    else layerAction(box.dataset.ch, btn.dataset.act);
+  });
+  $('#btnAddLayer').addEventListener('click', () => addLayer($('#layerType').value));
+  $('#btnReroll').addEventListener('click', rerollTexture);
+  $('#loopFile').addEventListener('change', async (e) => {
+    const f = e.target.files?.[0];
+    e.target.value = '';
+    if (f) await importLoopFile(f);
+  });
+
+  $('#audioStatus').addEventListener('click', () => engine.resumeNow());
   $('#btnSave').addEventListener('click', saveScene);
   $('#btnShare').addEventListener('click', async () => {
-    const link = linkForScene({mix: mixSnapshot()});
+    const link = linkForScene({ name: activeScene?.name || '', mix: mixSnapshot() });
     await copyText(link);
   });
+  $('#btnQr').addEventListener('click', () => openQrDialog({ name: activeScene?.name || '', mix: mixSnapshot() }));
+  $('#btnQrCopy').addEventListener('click', () => copyText($('#qrLink').value));
+  $('#btnQrClose').addEventListener('click', () => $('#qrDialog').close());
 
   $('#scenes').addEventListener('click', async (e) => {
     const btn = e.target.closest('button[data-act]');
@@ -804,18 +4161,37 @@ function wireEvents(){
     const act = btn.dataset.act;
     const scene = state.scenes.find(s => s.id === id);
     if (!scene) return;
+    btn.closest('details')?.removeAttribute('open');
 
     if (act === 'load') loadScene(scene);
-    if (act === 'link') await copyText(linkForScene(scene));
-    if (act === 'del'){
-      if (!confirm(`Delete “${scene.name}”?`)) return;
-      state.scenes = state.scenes.filter(s => s.id !== id);
-      saveState(state);
-      renderScenes();
-      toast('Deleted');
-    }
+    else if (act === 'link') await copyText(linkForScene(scene));
+    else if (act === 'qr') openQrDialog(scene);
+    else if (act === 'wav') openRenderDialog(scene);
+    else sceneAction(scene, act, btn);
+  });
+  $('#sceneSearch').addEventListener('input', renderScenes);
+  $('#sceneSort').addEventListener('change', (e) => {
+    state.sceneSort = coerce(S.enum(Object.keys(SCENE_SORTS), 'newest'), e.target.value);
+    saveState(state);
+    renderScenes();
+  });
+
+  $('#btnRender').addEventListener('click', () => openRenderDialog({ name: 'Current mix', mix: mixSnapshot() }));
+  $('#btnRenderGo').addEventListener('click', runRender);
+  $('#renderDialog .row').addEventListener('input', renderRenderSize);
+  $('#btnRenderCancel').addEventListener('click', () => {
+    if (renderJob?.abort) renderJob.abort.abort();
+    else $('#renderDialog').close();
+  });
+  $('#renderDialog').addEventListener('close', () => {
+    renderJob?.abort?.abort();
+    renderJob = null;
   });
 
+  $('#btnLogCsv').addEventListener('click', () => exportLog('csv'));
+  $('#btnLogJson').addEventListener('click', () => exportLog('json'));
+  $('#btnLogClear').addEventListener('click', clearLog);
+
   $('#btnExport').addEventListener('click', exportJSON);
   $('#fileImport').addEventListener('change', async (e) => {
     const f = e.target.files?.[0];
@@ -823,29 +4199,148 @@ function wireEvents(){
     await importJSON(f);
     e.target.value = '';
   });
+  $('#btnPasteLink').addEventListener('click', () => {
+    const text = prompt('Paste a Hushboard scene link (or scene JSON)');
+    if (text?.trim()) openImport(text);
+  });
+  $('#importRows').addEventListener('input', importRowInput);
+  $('#importDedupe').addEventListener('change', (e) => {
+    if (!importJob) return;
+    setImportDedupe(e.target.checked);
+    renderImport();
+  });
+  $('#btnImportApply').addEventListener('click', () => { if (importJob) applyImport(); });
+  $('#btnImportCancel').addEventListener('click', () => $('#importDialog').close());
+  $('#importDialog').addEventListener('close', () => { importJob = null; });
+
+  // Drop an export, a scene file or a link onto the Scenes panel.
+  const scenesPanel = $('#scenesPanel');
+  scenesPanel.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    scenesPanel.classList.add('dropping');
+  });
+  scenesPanel.addEventListener('dragleave', (e) => {
+    if (!scenesPanel.contains(e.relatedTarget)) scenesPanel.classList.remove('dropping');
+  });
+  scenesPanel.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    scenesPanel.classList.remove('dropping');
+    const file = e.dataTransfer.files?.[0];
+    const text = file ? await file.text() : (e.dataTransfer.getData('text/uri-list') || e.dataTransfer.getData('text/plain'));
+    if (text) openImport(text);
+  });
 
   $$('.timer-presets .btn').forEach(b => b.addEventListener('click', () => {
     const min = +b.dataset.min;
     $('#timerMinutes').value = String(min);
+    unlockCues();
+    recordMix();
     state.mix.timer.minutes = min;
     saveState(state);
     startTimer(min);
   }));
 
   $('#btnStartTimer').addEventListener('click', () => {
+    unlockCues();
     const min = +$('#timerMinutes').value;
-    state.mix.timer.minutes = min;
-    state.mix.timer.fadeSeconds = +$('#fadeSeconds').value;
-    state.mix.timer.endBehavior = $('#endBehavior').value;
+    const next = { minutes: min, fadeSeconds: +$('#fadeSeconds').value, endBehavior: $('#endBehavior').value };
+    if (Object.entries(next).some(([k, v]) => state.mix.timer[k] !== v)) recordMix();
+    Object.assign(state.mix.timer, next);
     saveState(state);
     startTimer(min);
   });
 
-  $('#btnStopTimer').addEventListener('click', () => stopTimer(true));
+  $('#btnStopTimer').addEventListener('click', () => {
+    if (timerCommand('stop')) return;
+    if (timer.running) logPhase('stopped');
+    stopTimer(true);
+  });
+  $('#btnSkipPhase').addEventListener('click', skipPhase);
+  // Intervals are throttled in background tabs and stop during sleep; check
+  // the clock as soon as we are back.
+  document.addEventListener('visibilitychange', tickTimer);
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) stopMeters();
+    else startMeters();
+  });
+  window.addEventListener('pageshow', tickTimer);
+  $('#btnExtend').addEventListener('click', () => extendPhase(5));
+
+  $('#alertFields').addEventListener('change', (e) => setAlert(e.target));
+
+  $('#btnNewPlaylist').addEventListener('click', newPlaylist);
+  $('#playlists').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-act]');
+    const box = btn?.closest('[data-pl]');
+    if (!box) return;
+    playlistAction(box.dataset.pl, btn.dataset.act, +btn.closest('[data-step]')?.dataset.step);
+  });
+  $('#playlists').addEventListener('change', (e) => {
+    const el = e.target;
+    const pl = state.playlists.find(p => p.id === el.closest('[data-pl]')?.dataset.pl);
+    if (!pl) return;
+    const step = pl.steps[+el.closest('[data-step]')?.dataset.step];
+    if (el.dataset.pk) pl[el.dataset.pk] = el.checked;
+    else if (step && el.dataset.sk) step[el.dataset.sk] = coerce(PLAYLIST_STEP_SCHEMA.fields[el.dataset.sk], el.value);
+    else return;
+    saveState(state);
+    renderPlaylists();
+  });
+  // `toggle` does not bubble; remember which step editors are open.
+  $('#playlists').addEventListener('toggle', (e) => {
+    const id = e.target.closest('[data-pl]')?.dataset.pl;
+    if (!id) return;
+    if (e.target.open) openPlaylists.add(id);
+    else openPlaylists.delete(id);
+  }, true);
+
+  $('#scheduleEnabled').addEventListener('change', (e) => {
+    state.schedule.enabled = e.target.checked;
+    scheduleSlot = null;
+    saveState(state);
+    checkSchedule();
+  });
+  $('#btnAddSlot').addEventListener('click', () => {
+    if (state.schedule.slots.length >= MAX_SCHEDULE_SLOTS) return;
+    const last = state.schedule.slots.at(-1);
+    const start = last ? last.end : 540;
+    state.schedule.slots.push({ start, end: (start + 180) % 1440, sceneId: state.scenes[0]?.id || '' });
+    saveState(state);
+    renderSchedule();
+  });
+  $('#scheduleSlots').addEventListener('click', (e) => {
+    const row = e.target.closest('button[data-act="del-slot"]')?.closest('[data-slot]');
+    if (!row) return;
+    state.schedule.slots.splice(+row.dataset.slot, 1);
+    saveState(state);
+    renderSchedule();
+  });
+  $('#scheduleSlots').addEventListener('change', (e) => {
+    const el = e.target;
+    const slot = state.schedule.slots[+el.closest('[data-slot]')?.dataset.slot];
+    const k = el.dataset.sk;
+    if (!slot || !k) return;
+    const raw = k === 'sceneId' ? el.value : clockToMinutes(el.value);
+    slot[k] = coerce(SCHEDULE_SLOT_SCHEMA.fields[k], raw);
+    scheduleSlot = null;
+    saveState(state);
+    checkSchedule();
+  });
+
+  $('#cycleFields').addEventListener('change', (e) => {
+    const el = e.target;
+    const k = el.dataset.cycle;
+    if (!k) return;
+    const field = CYCLE_SCHEMA.fields[k];
+    if (!field) return;
+    state.cycle[k] = coerce(field, el.type === 'checkbox' ? el.checked : el.value);
+    if (el.type !== 'checkbox') el.value = state.cycle[k];
+    saveState(state);
+  });
 
-  $('#timerMinutes').addEventListener('input', (e)=>{ state.mix.timer.minutes = clamp(+e.target.value,1,240); saveState(state); });
-  $('#fadeSeconds').addEventListener('input', (e)=>{ state.mix.timer.fadeSeconds = clamp(+e.target.value,0,120); saveState(state); });
-  $('#endBehavior').addEventListener('change', (e)=>{ state.mix.timer.endBehavior = e.target.value; saveState(state); });
+  $('#timerMinutes').addEventListener('input', (e)=>{ recordMix('timer:minutes'); state.mix.timer.minutes = clamp(+e.target.value,1,240); saveState(state); });
+  $('#fadeSeconds').addEventListener('input', (e)=>{ recordMix('timer:fade'); state.mix.timer.fadeSeconds = clamp(+e.target.value,0,120); saveState(state); });
+  $('#endBehavior').addEventListener('change', (e)=>{ recordMix(); state.mix.timer.endBehavior = e.target.value; saveState(state); });
 
   $('#btnHelp').addEventListener('click', () => {
     const hp = $('#helpPanel');
@@ -859,35 +4354,125 @@ function wireEvents(){
     }
   });
 
+  $('#morphSeconds').addEventListener('input', (e)=>{ state.morph.seconds = clamp(+e.target.value || 0,0,30); saveState(state); });
+  $('#morphCurve').addEventListener('change', (e)=>{ state.morph.curve = e.target.value; saveState(state); });
+
   window.addEventListener('hashchange', () => {
-    const shared = decodeSceneFromHash();
-    if (shared?.mix){
-      state.mix = structuredClone(shared.mix);
-      saveState(state);
-      renderChannels();
-      applyMixToUI(state.mix);
-      if (engine.running) applyMixToAudio(state.mix);
-      toast('Loaded shared scene');
+    const shared = validateShared(decodeSceneHash(location.hash));
+    if (shared){
+      replaceMix(shared.mix);
+      activeScene = { name: shared.name || 'Shared link' };
+      toast(`Loaded ${shared.name ? `“${shared.name}”` : 'shared scene'}${repairNote(shared.errors)}`);
     }
   });
 }
 
+// -------------------- Resume --------------------
+// A timer interrupted by a reload, crash or closed tab is offered back on
+// the next start. Resuming catches up on whatever ended in the meantime.
+function offerResume(){
+  const saved = loadSavedTimer();
+  if (!saved || timer.running) return;
+  const phase = saved.phases[saved.phaseIndex];
+  const rest = saved.phases.slice(saved.phaseIndex + 1).reduce((ms, p) => ms + p.minutes * 60 * 1000, 0);
+  const left = saved.endAt + rest - nowMs();
+  const label = phase.kind === 'session' ? PHASE_LABELS.session : `${PHASE_LABELS[phase.kind]} · round ${phase.round}`;
+  $('#resumeText').textContent = left > 0
+    ? `Timer interrupted during ${label}, ${fmtTime(left)} of the session left.`
+    : 'A timer session ran out while Hushboard was closed.';
+  $('#resumeBar').hidden = false;
+  $('#btnResume').onclick = () => resumeTimer(saved);
+  $('#btnDiscard').onclick = () => {
+    $('#resumeBar').hidden = true;
+    if (!timer.running) localStorage.removeItem(TIMER_KEY);
+  };
+}
+
+function resumeTimer(saved){
+  $('#resumeBar').hidden = true;
+  if (timer.running) return;
+  const { scene, ...rest } = saved;
+  Object.assign(timer, rest, { running: true, owner: TAB_ID });
+  if (!activeScene && scene) activeScene = { name: scene };
+  if (timer.tick) clearInterval(timer.tick);
+  timer.tick = setInterval(tickTimer, 250);
+  renderTimerMeta();
+  publishTimer();
+  tickTimer();
+}
+
+// -------------------- Offline install --------------------
+// sw.js precaches the app. A new deploy installs alongside the running one
+// and waits; we only swap over (and reload) when the user says so.
+let updateRequested = false;
+
+function registerServiceWorker(){
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+  navigator.serviceWorker.register('sw.js').then((reg) => {
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateBar(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const sw = reg.installing;
+      sw?.addEventListener('statechange', () => {
+        if (sw.state === 'installed' && navigator.serviceWorker.controller) showUpdateBar(sw);
+      });
+    });
+  }).catch(() => {}); // still works online without it
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateRequested) location.reload();
+  });
+}
+
+function showUpdateBar(worker){
+  $('#updateBar').hidden = false;
+  $('#btnUpdate').onclick = () => {
+    updateRequested = true;
+    worker.postMessage('skip-waiting');
+  };
+}
+
 function bootstrap(){
+  renderLayerTypes();
+  $('#sceneSort').innerHTML = Object.entries(SCENE_SORTS)
+    .map(([v, label]) => `<option value="${v}">${label}</option>`)
+    .join('');
   renderChannels();
   renderScenes();
+  renderPlaylists();
   applyMixToUI(state.mix);
-
-  const shared = decodeSceneFromHash();
-  if (shared?.mix){
-    state.mix = structuredClone(shared.mix);
+  applyCycleToUI(state.cycle);
+  applyAlertsToUI(state.alerts);
+  renderTimerMeta();
+  renderHistoryButtons();
+  renderHistory();
+  $('#morphSeconds').value = state.morph.seconds;
+  $('#morphCurve').value = state.morph.curve;
+
+  const shared = validateShared(decodeSceneHash(location.hash));
+  if (shared){
+    state.mix = shared.mix;
+    activeScene = { name: shared.name || 'Shared link' };
     saveState(state);
     renderChannels();
     applyMixToUI(state.mix);
-    toast('Loaded shared scene');
+    toast(`Loaded ${shared.name ? `“${shared.name}”` : 'shared scene'}${repairNote(shared.errors)}`);
   }
 
+  engine.onstatus = renderAudioStatus;
+  engine.onrebuild = onEngineRebuilt;
   setPowerUI(false);
   wireEvents();
+  initTabs();
+  initMediaSession();
+  refreshLoops();
+  // Give other tabs a moment to say they already run the saved timer
+  // (or play the audio, which keeps the schedule here quiet).
+  setTimeout(offerResume, tabChannel ? 300 : 0);
+  setTimeout(tickPlans, tabChannel ? 300 : 0);
+  setInterval(tickPlans, 1000);
+  setInterval(checkListening, 15000);
+  registerServiceWorker();
 }
 
 bootstrap();
@@ -0,0 +1,84 @@
+// User audio loops live in IndexedDB (localStorage can't hold audio), keyed
+// by the SHA-256 of the file so scenes and links only carry the hash.
+const DB_NAME = 'hushboard';
+const DB_VERSION = 1;
+const STORE = 'loops';
+
+let dbPromise = null;
+
+function openDb(){
+  if (!dbPromise){
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'hash' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+async function run(mode, fn){
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function hashBytes(bytes){
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Store a file (or { name, type, bytes }); returns its metadata. Storing the
+// same audio twice is a no-op apart from refreshing the name.
+export async function saveLoop({ name, type, bytes }){
+  const hash = await hashBytes(bytes);
+  const meta = { hash, name: String(name || 'Audio').slice(0, 120), type: type || '', size: bytes.byteLength, addedAt: Date.now() };
+  await run('readwrite', store => store.put({ ...meta, data: new Blob([bytes], { type: meta.type }) }));
+  return meta;
+}
+
+// ArrayBuffer of the stored audio, or null when this device doesn't have it.
+export async function loopBytes(hash){
+  const rec = await run('readonly', store => store.get(hash));
+  return rec ? rec.data.arrayBuffer() : null;
+}
+
+export async function listLoops(){
+  const all = await run('readonly', store => store.getAll());
+  return (all || []).map(({ data, ...meta }) => meta).sort((a, b) => a.addedAt - b.addedAt);
+}
+
+// -------------------- Export bundles --------------------
+// Exports can carry the audio as base64 so scenes work on another device.
+function toBase64(buffer){
+  const bytes = new Uint8Array(buffer);
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000){
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+export async function packLoops(hashes){
+  const out = [];
+  for (const hash of hashes){
+    const rec = await run('readonly', store => store.get(hash));
+    if (rec) out.push({ hash, name: rec.name, type: rec.type, data: toBase64(await rec.data.arrayBuffer()) });
+  }
+  return out;
+}
+
+// Store one bundled file; throws if it is malformed or doesn't match its hash.
+export async function unpackLoop(entry){
+  if (typeof entry?.data !== 'string' || typeof entry.hash !== 'string') throw new TypeError('not an audio entry');
+  const bytes = Uint8Array.from(atob(entry.data), c => c.charCodeAt(0)).buffer;
+  if (await hashBytes(bytes) !== entry.hash) throw new Error('audio does not match its hash');
+  return saveLoop({ name: entry.name, type: typeof entry.type === 'string' ? entry.type : '', bytes });
+}
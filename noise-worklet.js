@@ -0,0 +1,49 @@
+// AudioWorklet processor for continuously generated (never looping) noise.
+// Loaded by Engine.loadWorklets; Engine.setNoiseColor posts { color } to
+// switch colour with a short crossfade, { seed } to restart the stream from
+// a new seed (also crossfaded), and { stop: true } retires it.
+import { createNoise, seededRandom } from './noise.js';
+
+const XFADE_SAMPLES = 2048;
+
+class HushNoiseProcessor extends AudioWorkletProcessor {
+  constructor(options){
+    super();
+    const opts = options.processorOptions || {};
+    this.color = opts.color || 'white';
+    this.random = seededRandom(opts.seed ?? 0);
+    this.next = createNoise(this.color, this.random);
+    this.prev = null;
+    this.fade = 0;
+    this.alive = true;
+
+    this.port.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.seed != null) this.random = seededRandom(msg.seed);
+      if (msg.color || msg.seed != null){
+        this.color = msg.color || this.color;
+        this.prev = this.next;
+        this.next = createNoise(this.color, this.random);
+        this.fade = 0;
+      }
+      if (msg.stop) this.alive = false;
+    };
+  }
+
+  process(inputs, outputs){
+    const out = outputs[0][0];
+    if (!out) return this.alive;
+    for (let i=0;i<out.length;i++){
+      let x = this.next();
+      if (this.prev){
+        const p = this.fade++ / XFADE_SAMPLES;
+        x = x * p + this.prev() * (1 - p);
+        if (this.fade >= XFADE_SAMPLES) this.prev = null;
+      }
+      out[i] = x;
+    }
+    return this.alive;
+  }
+}
+
+registerProcessor('hush-noise', HushNoiseProcessor);
@@ -0,0 +1,97 @@
+// Noise generators shared by the AudioWorklet processor (noise-worklet.js)
+// and the looped-buffer fallback in app.js. Each call to createNoise returns
+// a stateful `next()` that yields one sample at a time; pass a seededRandom
+// for output that repeats exactly.
+
+export const NOISE_COLORS = {
+  white: 'White',
+  pink: 'Pink',
+  brown: 'Brown',
+  blue: 'Blue',
+  violet: 'Violet',
+  grey: 'Grey',
+};
+
+function pinkFilter(){
+  // Paul Kellet's refined pink filter.
+  let b0=0, b1=0, b2=0, b3=0, b4=0, b5=0, b6=0;
+  return (w) => {
+    b0 = 0.99886*b0 + w*0.0555179;
+    b1 = 0.99332*b1 + w*0.0750759;
+    b2 = 0.96900*b2 + w*0.1538520;
+    b3 = 0.86650*b3 + w*0.3104856;
+    b4 = 0.55000*b4 + w*0.5329522;
+    b5 = -0.7616*b5 - w*0.0168980;
+    const pink = b0+b1+b2+b3+b4+b5+b6+w*0.5362;
+    b6 = w*0.115926;
+    return pink;
+  };
+}
+
+function brownFilter(){
+  // Leaky integrator, so a generator that runs for hours never drifts off.
+  let last = 0;
+  return (w) => {
+    last = (last + 0.02 * w) / 1.02;
+    return last;
+  };
+}
+
+// Small seeded PRNG (mulberry32): the same seed always yields the same
+// stream, so a scene's noise is reproducible down to the sample.
+export function seededRandom(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function createNoise(color, random=Math.random){
+  const white = () => random() * 2 - 1;
+
+  if (color === 'pink'){
+    const pink = pinkFilter();
+    return () => pink(white()) * 0.11;
+  }
+  if (color === 'brown'){
+    const brown = brownFilter();
+    return () => brown(white()) * 3.5;
+  }
+  if (color === 'blue'){
+    // Differentiated pink: +3 dB/octave.
+    const pink = pinkFilter();
+    let prev = 0;
+    return () => {
+      const p = pink(white());
+      const out = (p - prev) * 0.18;
+      prev = p;
+      return out;
+    };
+  }
+  if (color === 'violet'){
+    // Differentiated white: +6 dB/octave.
+    let prev = 0;
+    return () => {
+      const w = white();
+      const out = (w - prev) * 0.3;
+      prev = w;
+      return out;
+    };
+  }
+  if (color === 'grey'){
+    // Rough inverse equal-loudness curve: brown lows plus violet highs
+    // over a thin white floor.
+    const brown = brownFilter();
+    let prev = 0;
+    return () => {
+      const w = white();
+      const out = brown(w) * 2.4 + (w - prev) * 0.12 + w * 0.08;
+      prev = w;
+      return out;
+    };
+  }
+  return () => white() * 0.6;
+}
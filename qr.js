@@ -0,0 +1,271 @@
+// Small QR Code encoder (byte mode, error correction level M) so scene links
+// can be shown as a code with no network service. Layout per ISO/IEC 18004;
+// the smallest version (1–40) that fits is picked and the mask is chosen by
+// the standard penalty rules.
+
+// Level M, per version (index 0 unused): EC codewords per block, block count.
+const EC_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const EC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const FORMAT_LEVEL_M = 0;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+];
+
+const bit = (x, i) => ((x >>> i) & 1) !== 0;
+
+// Modules available for data + EC once function patterns are placed.
+function rawModules(ver){
+  let n = (16 * ver + 128) * ver + 64;
+  if (ver >= 2){
+    const align = Math.floor(ver / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if (ver >= 7) n -= 36;
+  }
+  return n;
+}
+
+function dataCodewords(ver){
+  return Math.floor(rawModules(ver) / 8) - EC_PER_BLOCK[ver] * EC_BLOCKS[ver];
+}
+
+// -------------------- Reed–Solomon over GF(256) --------------------
+function gfMul(x, y){
+  let z = 0;
+  for (let i = 7; i >= 0; i--){
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree){
+  const out = new Array(degree).fill(0);
+  out[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++){
+    for (let j = 0; j < degree; j++){
+      out[j] = gfMul(out[j], root);
+      if (j + 1 < degree) out[j] ^= out[j + 1];
+    }
+    root = gfMul(root, 2);
+  }
+  return out;
+}
+
+function rsRemainder(data, divisor){
+  const out = divisor.map(() => 0);
+  for (const b of data){
+    const factor = b ^ out.shift();
+    out.push(0);
+    divisor.forEach((coef, i) => { out[i] ^= gfMul(coef, factor); });
+  }
+  return out;
+}
+
+// Split into blocks, append EC to each and interleave.
+function withEcc(data, ver){
+  const blocks = EC_BLOCKS[ver];
+  const ecLen = EC_PER_BLOCK[ver];
+  const raw = Math.floor(rawModules(ver) / 8);
+  const shortCount = blocks - raw % blocks;
+  const shortLen = Math.floor(raw / blocks);
+  const divisor = rsDivisor(ecLen);
+
+  const out = [];
+  const list = [];
+  for (let i = 0, k = 0; i < blocks; i++){
+    const dat = data.slice(k, k + shortLen - ecLen + (i < shortCount ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < shortCount) dat.push(0); // placeholder, skipped below
+    list.push(dat.concat(ecc));
+  }
+  for (let i = 0; i < list[0].length; i++){
+    list.forEach((block, j) => {
+      if (i !== shortLen - ecLen || j >= shortCount) out.push(block[i]);
+    });
+  }
+  return out;
+}
+
+// -------------------- Matrix --------------------
+function alignPositions(ver, size){
+  if (ver === 1) return [];
+  const count = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (count * 2 - 2)) * 2;
+  const out = [6];
+  for (let pos = size - 7; out.length < count; pos -= step) out.splice(1, 0, pos);
+  return out;
+}
+
+function buildMatrix(ver, codewords){
+  const size = ver * 4 + 17;
+  const dark = Array.from({ length: size }, () => new Array(size).fill(false));
+  const fixed = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, on) => { dark[y][x] = on; fixed[y][x] = true; };
+
+  for (let i = 0; i < size; i++){
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]){
+    for (let dy = -4; dy <= 4; dy++){
+      for (let dx = -4; dx <= 4; dx++){
+        const x = cx + dx, y = cy + dy;
+        const d = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, d !== 2 && d !== 4);
+      }
+    }
+  }
+  const align = alignPositions(ver, size);
+  align.forEach((cx, i) => align.forEach((cy, j) => {
+    const corner = (i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0);
+    if (corner) return;
+    for (let dy = -2; dy <= 2; dy++){
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+  drawFormat(set, size, 0); // reserve; real bits once the mask is known
+  if (ver >= 7){
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = ver << 12 | rem;
+    for (let i = 0; i < 18; i++){
+      const a = size - 11 + i % 3, b = Math.floor(i / 3);
+      set(a, b, bit(bits, i));
+      set(b, a, bit(bits, i));
+    }
+  }
+
+  // Zigzag through the free modules, two columns at a time.
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2){
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++){
+      for (let j = 0; j < 2; j++){
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (!fixed[y][x] && i < codewords.length * 8){
+          dark[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+  return { size, dark, fixed, set };
+}
+
+function drawFormat(set, size, mask){
+  const data = FORMAT_LEVEL_M << 3 | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = (data << 10 | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i));
+  set(8, 7, bit(bits, 6));
+  set(8, 8, bit(bits, 7));
+  set(7, 8, bit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i));
+  set(8, size - 8, true);
+}
+
+function applyMask(m, mask){
+  const test = MASKS[mask];
+  return m.dark.map((row, y) => row.map((on, x) => (!m.fixed[y][x] && test(x, y)) ? !on : on));
+}
+
+// Lower is better: long runs, 2×2 blocks, finder look-alikes, unbalanced dark.
+function penalty(grid){
+  const n = grid.length;
+  let score = 0;
+  let darkCount = 0;
+  const finderLike = [true, false, true, true, true, false, true];
+  const lines = [];
+  for (let i = 0; i < n; i++){
+    lines.push(grid[i]);
+    lines.push(grid.map(row => row[i]));
+  }
+  for (const line of lines){
+    let run = 1;
+    for (let i = 1; i <= n; i++){
+      if (i < n && line[i] === line[i - 1]){
+        run++;
+        continue;
+      }
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+    for (let i = 0; i + 7 <= n; i++){
+      if (!finderLike.every((v, k) => line[i + k] === v)) continue;
+      const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !line[i - k]);
+      const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= n || !line[i + 7 + k]);
+      if (lightBefore || lightAfter) score += 40;
+    }
+  }
+  for (let y = 0; y < n; y++){
+    for (let x = 0; x < n; x++){
+      if (grid[y][x]) darkCount++;
+      if (x < n - 1 && y < n - 1){
+        const c = grid[y][x];
+        if (grid[y][x + 1] === c && grid[y + 1][x] === c && grid[y + 1][x + 1] === c) score += 3;
+      }
+    }
+  }
+  const total = n * n;
+  score += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+// Rows of booleans (true = dark), without the quiet zone.
+export function qrMatrix(text){
+  const bytes = [...new TextEncoder().encode(text)];
+  let ver = 1;
+  const bitsNeeded = (v) => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+  while (ver <= 40 && bitsNeeded(ver) > dataCodewords(ver) * 8) ver++;
+  if (ver > 40) throw new RangeError('Text too long for a QR code');
+
+  const bits = [];
+  const push = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, ver < 10 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+  const capacity = dataCodewords(ver) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  for (let pad = 0xec; data.length < capacity / 8; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  const m = buildMatrix(ver, withEcc(data, ver));
+  let best = null;
+  for (let mask = 0; mask < 8; mask++){
+    drawFormat(m.set, m.size, mask);
+    const grid = applyMask(m, mask);
+    const score = penalty(grid);
+    if (!best || score < best.score) best = { grid, score };
+  }
+  return best.grid;
+}
+
+export function qrSvg(text, { border=4 } = {}){
+  const grid = qrMatrix(text);
+  const size = grid.length + border * 2;
+  let path = '';
+  grid.forEach((row, y) => row.forEach((on, x) => {
+    if (on) path += `M${x + border} ${y + border}h1v1h-1z`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`
+    + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
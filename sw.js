@@ -0,0 +1,73 @@
+// Hushboard service worker: precache the app shell and serve it cache-first
+// so the mixer loads with no network at all.
+//
+// CACHE_VERSION is stamped with the commit by the Pages workflow; every
+// deploy gets a fresh cache and the previous one is dropped on activate.
+// The page asks the user before a waiting worker takes over.
+const CACHE_VERSION = 'hushboard-dev';
+
+const ASSETS = [
+  './',
+  'index.html',
+  'app.js',
+  'noise.js',
+  'noise-worklet.js',
+  'textures.js',
+  'texture-worklet.js',
+  'qr.js',
+  'loops.js',
+  'styles.css',
+  'manifest.webmanifest',
+  'icon.svg',
+  'icon-192.png',
+  'icon-512.png',
+];
+
+// Bypass the HTTP cache: Pages serves with max-age=600, so a plain fetch
+// could precache the previous deploy under the new version.
+self.addEventListener('install', (e) => {
+  e.waitUntil(caches.open(CACHE_VERSION)
+    .then(cache => cache.addAll(ASSETS.map(u => new Request(u, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(k => k.startsWith('hushboard-') && k !== CACHE_VERSION)
+      .map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (e) => {
+  if (e.data === 'skip-waiting') self.skipWaiting();
+});
+
+// Timer notifications: bring the app back to the front when tapped.
+self.addEventListener('notificationclick', (e) => {
+  e.notification.close();
+  e.waitUntil((async () => {
+    const wins = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (wins.length) return wins[0].focus();
+    return self.clients.openWindow('./');
+  })());
+});
+
+self.addEventListener('fetch', (e) => {
+  const req = e.request;
+  if (req.method !== 'GET' || new URL(req.url).origin !== location.origin) return;
+
+  e.respondWith((async () => {
+    const cache = await caches.open(CACHE_VERSION);
+    const hit = await cache.match(req, { ignoreSearch: true });
+    if (hit) return hit;
+    try{
+      return await fetch(req);
+    } catch (err){
+      // Offline deep link (e.g. ?utm=… or a renamed index): serve the shell.
+      if (req.mode === 'navigate') return cache.match('./');
+      throw err;
+    }
+  })());
+});
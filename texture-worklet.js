@@ -0,0 +1,53 @@
+// AudioWorklet processors for the synthesized textures in textures.js, one
+// per texture as `hush-<name>` with its params as k-rate AudioParams.
+// Loaded by Engine.loadWorklets; Engine.setSeed posts { seed } to restart
+// the texture from a new seed (crossfaded), and { stop: true } retires it.
+import { TEXTURES } from './textures.js';
+import { seededRandom } from './noise.js';
+
+const XFADE_SAMPLES = 2048;
+
+for (const [name, tex] of Object.entries(TEXTURES)){
+  const keys = Object.keys(tex.params);
+
+  registerProcessor(`hush-${name}`, class extends AudioWorkletProcessor {
+    static get parameterDescriptors(){
+      return keys.map(key => ({ name: key, defaultValue: tex.params[key], minValue: 0, maxValue: 1, automationRate: 'k-rate' }));
+    }
+
+    constructor(options){
+      super();
+      this.next = tex.create(sampleRate, seededRandom(options.processorOptions?.seed ?? 0));
+      this.prev = null;
+      this.fade = 0;
+      this.alive = true;
+      this.values = { ...tex.params };
+
+      this.port.onmessage = (e) => {
+        const msg = e.data || {};
+        if (msg.seed != null){
+          this.prev = this.next;
+          this.next = tex.create(sampleRate, seededRandom(msg.seed));
+          this.fade = 0;
+        }
+        if (msg.stop) this.alive = false;
+      };
+    }
+
+    process(inputs, outputs, parameters){
+      const out = outputs[0][0];
+      if (!out) return this.alive;
+      for (const key of keys) this.values[key] = parameters[key][0];
+      for (let i=0;i<out.length;i++){
+        let x = this.next(this.values);
+        if (this.prev){
+          const p = this.fade++ / XFADE_SAMPLES;
+          x = x * p + this.prev(this.values) * (1 - p);
+          if (this.fade >= XFADE_SAMPLES) this.prev = null;
+        }
+        out[i] = x;
+      }
+      return this.alive;
+    }
+  });
+}
@@ -0,0 +1,207 @@
+// Synthesized textures shared by the AudioWorklet processors
+// (texture-worklet.js) and the looped-buffer fallback in app.js. Each
+// create(sampleRate, random) returns a stateful `next(p)` that yields one
+// sample for the current parameter values `p` (all 0..1). Pass a seeded
+// random for output that repeats exactly.
+
+const TAU = Math.PI * 2;
+
+// -------------------- Rain --------------------
+// Drops land as a Poisson stream. Every drop is a short noise tick; some
+// also trap a bubble, a damped sine whose pitch rises as it shrinks.
+const MAX_DROPS = 64;
+
+function createRain(sampleRate, random){
+  const inc = new Float32Array(MAX_DROPS);
+  const phase = new Float32Array(MAX_DROPS);
+  const env = new Float32Array(MAX_DROPS);
+  const decay = new Float32Array(MAX_DROPS);
+  const chirp = new Float32Array(MAX_DROPS);
+  const tickDecay = Math.exp(-1 / (0.0012 * sampleRate));
+  let count = 0;
+  let tick = 0;
+  let soft = 0;
+
+  const spawn = (intensity) => {
+    // Heavier rain: bigger drops more often, and louder overall.
+    const size = random() ** (4 - 3 * intensity);
+    const amp = (0.15 + 0.85 * size) * (0.35 + 0.65 * intensity) * (0.5 + 0.5 * random());
+    tick += amp * 0.6;
+    if (count === MAX_DROPS || random() > 0.35) return;
+    const freq = 1000 + 3000 * (1 - size) * (0.7 + 0.6 * random());
+    const seconds = 0.004 + 0.018 * size;
+    inc[count] = TAU * freq / sampleRate;
+    phase[count] = 0;
+    env[count] = amp * 0.5;
+    decay[count] = Math.exp(-1 / (seconds * sampleRate));
+    chirp[count] = Math.pow(1.2 + 0.4 * random(), 1 / (seconds * 3 * sampleRate));
+    count++;
+  };
+
+  return (p) => {
+    const rate = 12 + 900 * p.density * p.density; // drops per second
+    if (random() * sampleRate < rate) spawn(p.intensity);
+
+    let out = 0;
+    for (let i = 0; i < count; ){
+      out += Math.sin(phase[i]) * env[i];
+      phase[i] += inc[i];
+      inc[i] *= chirp[i];
+      env[i] *= decay[i];
+      if (env[i] < 1e-4){
+        count--;
+        inc[i] = inc[count]; phase[i] = phase[count]; env[i] = env[count];
+        decay[i] = decay[count]; chirp[i] = chirp[count];
+      } else {
+        i++;
+      }
+    }
+    // Ticks are slightly dulled so close drops don't sound like static.
+    soft += 0.55 * ((random() * 2 - 1) * tick - soft);
+    tick *= tickDecay;
+    return (out + soft) * 2 / Math.sqrt(1 + rate / 150); // dense rain blurs together
+  };
+}
+
+// -------------------- Cafe --------------------
+// Babble: a few distant voices, each a buzzy pulse through two vowel
+// formants, talking in phrases of syllables with pauses between. Cups and
+// spoons clink now and then on top.
+const VOICES = 8;
+const VOWELS = [[730, 1090], [270, 2290], [530, 1840], [660, 1720], [300, 870], [570, 840], [440, 1020], [490, 1350]];
+const FORMANT_Q = 6;
+const CONTROL_SAMPLES = 64; // formant glide / envelope update interval
+const MAX_CLINKS = 4;
+const CLINK_PARTIALS = [1, 2.32, 4.25];
+
+// Band-pass biquad (0 dB peak) with its coefficients recomputed on demand.
+function formant(){
+  let b0 = 0, a1 = 0, a2 = 0, x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  return {
+    tune(freq, sampleRate){
+      const w = TAU * freq / sampleRate;
+      const alpha = Math.sin(w) / (2 * FORMANT_Q);
+      const a0 = 1 + alpha;
+      b0 = alpha / a0;
+      a1 = -2 * Math.cos(w) / a0;
+      a2 = (1 - alpha) / a0;
+    },
+    run(x){
+      const y = b0 * (x - x2) - a1 * y1 - a2 * y2;
+      x2 = x1; x1 = x;
+      y2 = y1; y1 = y;
+      return y;
+    },
+  };
+}
+
+function createVoice(sampleRate, random){
+  const f1 = formant(), f2 = formant();
+  const base = 95 + 140 * random();
+  let phase = 0;
+  let pitch = base;
+  let vowel = VOWELS[0], from = vowel;
+  let cur1 = vowel[0], cur2 = vowel[1];
+  let left = Math.round(random() * sampleRate); // samples left in this syllable or pause
+  let length = left || 1;
+  let syllables = 0; // left in this phrase
+  let talking = false;
+  let level = 0; // distance of the speaker, per phrase
+  let env = 0;
+  let active = 0; // fades the voice in and out with `chatter`
+  let n = 0;
+
+  const nextSegment = () => {
+    if (syllables <= 0){
+      talking = !talking;
+      if (!talking){
+        length = left = Math.round((0.3 + 1.6 * random()) * sampleRate);
+        return;
+      }
+      syllables = 3 + Math.floor(random() * 10);
+      level = 0.25 + 0.75 * random();
+      pitch = base * (1.05 + 0.15 * random());
+    }
+    syllables--;
+    from = vowel;
+    vowel = VOWELS[Math.floor(random() * VOWELS.length)];
+    pitch *= 0.97 + 0.04 * random(); // phrases drift down
+    length = left = Math.round((0.08 + 0.18 * random()) * sampleRate);
+  };
+
+  return (on) => {
+    if (n++ % CONTROL_SAMPLES === 0){
+      active += ((on ? 1 : 0) - active) * 0.02;
+      const k = 1 - left / length;
+      const glide = Math.min(1, k * 4);
+      cur1 = from[0] + (vowel[0] - from[0]) * glide;
+      cur2 = from[1] + (vowel[1] - from[1]) * glide;
+      f1.tune(cur1, sampleRate);
+      f2.tune(cur2, sampleRate);
+      env = talking ? level * Math.sin(Math.PI * Math.min(1, k)) ** 0.7 : 0;
+    }
+    if (left-- <= 0) nextSegment();
+    if (active < 0.001) return 0;
+
+    phase += pitch / sampleRate;
+    if (phase >= 1) phase -= 1;
+    const source = (1 - 2 * phase) + 0.3 * (random() * 2 - 1); // buzz plus breath
+    return (f1.run(source) + 0.6 * f2.run(source)) * env * active;
+  };
+}
+
+function createCafe(sampleRate, random){
+  const voices = Array.from({ length: VOICES }, () => createVoice(sampleRate, random));
+  const clinkInc = new Float32Array(MAX_CLINKS * CLINK_PARTIALS.length);
+  const clinkPhase = new Float32Array(clinkInc.length);
+  const clinkEnv = new Float32Array(clinkInc.length);
+  const clinkDecay = new Float32Array(clinkInc.length);
+
+  const clink = () => {
+    let slot = 0; // reuse the quietest
+    for (let s = 0; s < clinkEnv.length; s += CLINK_PARTIALS.length){
+      if (clinkEnv[s] < clinkEnv[slot]) slot = s;
+    }
+    const base = 1800 + 1400 * random();
+    const amp = 0.08 + 0.2 * random();
+    const seconds = 0.08 + 0.22 * random();
+    CLINK_PARTIALS.forEach((ratio, j) => {
+      const i = slot + j;
+      clinkInc[i] = TAU * base * ratio * (0.98 + 0.04 * random()) / sampleRate;
+      clinkPhase[i] = 0;
+      clinkEnv[i] = amp / (j + 1);
+      clinkDecay[i] = Math.exp(-1 / (seconds / (j + 1) * sampleRate));
+    });
+  };
+
+  return (p) => {
+    const talkers = 1 + p.chatter * (VOICES - 1);
+    let babble = 0;
+    for (let v = 0; v < VOICES; v++) babble += voices[v](v < talkers);
+
+    if (random() * sampleRate < 0.8 * p.clinks * p.clinks) clink();
+    let ring = 0;
+    for (let i = 0; i < clinkEnv.length; i++){
+      if (clinkEnv[i] < 1e-4) continue;
+      ring += Math.sin(clinkPhase[i]) * clinkEnv[i];
+      clinkPhase[i] += clinkInc[i];
+      clinkEnv[i] *= clinkDecay[i];
+    }
+    return babble * 1.5 / Math.sqrt(talkers) + ring;
+  };
+}
+
+// `params` are the defaults; `bed` is the level of the channel's noise bed
+// under the texture.
+export const TEXTURES = {
+  rain: {
+    create: createRain,
+    params: { density: 0.5, intensity: 0.5 },
+    bed: (p) => 0.15 + 0.45 * p.intensity,
+  },
+  cafe: {
+    create: createCafe,
+    params: { chatter: 0.5, clinks: 0.3 },
+    bed: () => 0.4,
+  },
+};